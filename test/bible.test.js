@@ -0,0 +1,141 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  initProvider, extractProfileNames, createStoryBible, validateStoryFacts, applyStoryFacts,
+  getRelevantFacts, loadStoryBible, updateStoryBible, buildChapterContext
+} = require('../main');
+
+const profiles = [
+  '# Character Profiles',
+  '',
+  '## 1. Mara Vell',
+  '1. Full name: Mara Vell',
+  '2. Age: 34',
+  '',
+  '## 2. Elias Crane (the keeper)',
+  '1. **Full name:** Elias Crane',
+  '3. Background: Keeper of the lighthouse for thirty years'
+].join('\n');
+
+const facts = (overrides = {}) => ({ characters: [], objects: [], events: [], rules: [], ...overrides });
+
+let bookDir;
+
+beforeEach(async () => {
+  bookDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-bible-'));
+});
+
+afterEach(async () => {
+  await fs.rm(bookDir, { recursive: true, force: true });
+});
+
+test('extractProfileNames reads the full name fields, or the headings without them', () => {
+  assert.deepStrictEqual(extractProfileNames(profiles), ['Mara Vell', 'Elias Crane']);
+  assert.deepStrictEqual(extractProfileNames('# Character Profiles\n\n**Mara Vell**\nA diver.\n\n### Elias Crane - The Keeper\nOld.'), ['Mara Vell', 'Elias Crane']);
+});
+
+test('createStoryBible seeds the characters from the profiles and POVs', () => {
+  const bible = createStoryBible(profiles, { chapters: [{ pov: 'Mara' }, { pov: 'Ines Roe' }] });
+  
+  assert.deepStrictEqual(Object.keys(bible.characters), ['Mara Vell', 'Elias Crane', 'Ines Roe']);
+  assert.strictEqual(bible.characters['Elias Crane'].status, 'alive');
+});
+
+test('validateStoryFacts reports malformed facts', () => {
+  assert.deepStrictEqual(validateStoryFacts(facts()), []);
+  assert.deepStrictEqual(validateStoryFacts({ characters: [{ name: 'Mara', status: 'sleeping' }], objects: [{}], events: [3] }), [
+    '"rules" must be an array',
+    'characters[0]: "status" must be one of alive, dead, missing, unknown',
+    'objects[0]: "name" must be a non-empty string',
+    '"events" must only contain strings'
+  ]);
+});
+
+test('applyStoryFacts tracks state and refuses to resurrect the dead', () => {
+  const bible = createStoryBible(profiles);
+  applyStoryFacts(bible, 1, facts({
+    characters: [{ name: 'Mara', location: 'the harbor', injuries: ['cut hand'], relationships: { 'Elias Crane': 'distrusts him' } }],
+    objects: [{ name: 'Brass key', holder: 'Mara Vell' }],
+    events: ['Mara arrives'],
+    rules: ['The bell only rings at low tide']
+  }));
+  applyStoryFacts(bible, 2, facts({ characters: [{ name: 'Elias', status: 'dead', location: 'the rocks' }], events: ['Elias falls'] }));
+  applyStoryFacts(bible, 3, facts({ characters: [{ name: 'Elias Crane', status: 'alive', location: 'the lighthouse' }] }));
+  
+  assert.strictEqual(bible.characters['Mara Vell'].location, 'the harbor');
+  assert.deepStrictEqual(bible.characters['Mara Vell'].injuries, ['cut hand']);
+  assert.strictEqual(bible.characters['Elias Crane'].status, 'dead');
+  assert.deepStrictEqual(bible.warnings, [{ chapter: 3, message: 'Elias Crane died earlier but appears as alive in Chapter 3' }]);
+  assert.deepStrictEqual(bible.chapters, [1, 2, 3]);
+  
+  // Re-applying a chapter replaces its events instead of duplicating them
+  applyStoryFacts(bible, 1, facts({ events: ['Mara arrives by ferry'] }));
+  assert.deepStrictEqual(bible.timeline.map(entry => entry.event), ['Mara arrives by ferry', 'Elias falls']);
+  assert.deepStrictEqual(bible.rules, []);
+});
+
+test('applyStoryFacts re-applies an earlier chapter without rolling back later state', () => {
+  const bible = createStoryBible(profiles);
+  applyStoryFacts(bible, 1, facts({ characters: [{ name: 'Mara', location: 'the harbor' }], objects: [{ name: 'Brass key', holder: 'Mara Vell' }] }));
+  applyStoryFacts(bible, 2, facts({ characters: [{ name: 'Mara', location: 'the archive', injuries: ['burned palm'] }], objects: [{ name: 'Brass key', holder: 'Elias Crane' }] }));
+  
+  // A revised Chapter 1 changes its events, not where Mara and the key are after Chapter 2
+  applyStoryFacts(bible, 1, facts({
+    characters: [{ name: 'Mara', location: 'the lighthouse', injuries: [] }, { name: 'Ines', location: 'the mill' }],
+    objects: [{ name: 'Brass key', holder: 'Mara Vell' }],
+    events: ['Mara arrives by night']
+  }));
+  
+  assert.strictEqual(bible.characters['Mara Vell'].location, 'the archive');
+  assert.deepStrictEqual(bible.characters['Mara Vell'].injuries, ['burned palm']);
+  assert.strictEqual(bible.characters['Mara Vell'].lastSeen, 2);
+  assert.strictEqual(bible.characters['Ines'].location, 'the mill');
+  assert.strictEqual(bible.objects['Brass key'].holder, 'Elias Crane');
+  assert.deepStrictEqual(bible.timeline, [{ chapter: 1, event: 'Mara arrives by night' }]);
+});
+
+test('getRelevantFacts lists the characters in focus and the dead', () => {
+  const bible = createStoryBible(profiles + '\n\n## Ines Roe\n1. Full name: Ines Roe');
+  applyStoryFacts(bible, 1, facts({ characters: [{ name: 'Ines Roe', location: 'the mill' }], objects: [{ name: 'Brass key', holder: 'Ines Roe' }] }));
+  applyStoryFacts(bible, 2, facts({ characters: [{ name: 'Elias', status: 'dead' }] }));
+  applyStoryFacts(bible, 5, facts({ characters: [{ name: 'Mara', location: 'the harbor' }], rules: ['The bell only rings at low tide'] }));
+  
+  const text = getRelevantFacts(bible, 6, 'Mara returns to the lighthouse.');
+  assert.match(text, /- Mara Vell: status: alive; location: the harbor/);
+  assert.match(text, /must NOT appear alive:\n- Elias Crane/);
+  assert.match(text, /World rules:\n- The bell only rings at low tide/);
+  assert.doesNotMatch(text, /Ines Roe|Brass key/);
+  assert.match(getRelevantFacts(bible, 6, 'Ines finds something.'), /Ines Roe[\s\S]*Brass key \(held by Ines Roe\)/);
+  assert.strictEqual(getRelevantFacts(createStoryBible(profiles), 1), '');
+});
+
+test('buildChapterContext includes the story bible facts', () => {
+  const { context } = buildChapterContext({ chapterNum: 2, outline: 'Chapter 2: Low tide', characterProfiles: profiles, budget: 5000, storyFacts: 'Dead - these characters must NOT appear alive:\n- Elias Crane' });
+  
+  assert.match(context, /CHARACTER PROFILES:[\s\S]*STORY BIBLE:\nDead/);
+});
+
+test('updateStoryBible extracts facts with the model and saves the bible', async () => {
+  initProvider({ provider: 'mock', model: 'mock' });
+  const bible = createStoryBible(profiles);
+  await updateStoryBible('horror', 1, 'Chapter 1: Arrival\n\nMara waited in silence at the harbor.', bookDir, bible);
+  
+  assert.deepStrictEqual(bible.chapters, [1]);
+  assert.strictEqual(bible.characters['Mara Vell'].lastSeen, 1);
+  assert.deepStrictEqual(await loadStoryBible(bookDir), bible);
+});
+
+test('updateStoryBible leaves the chapter unrecorded when extraction fails', async () => {
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  provider.stream = async function* () {
+    yield 'I could not find any facts.';
+  };
+  const bible = createStoryBible(profiles);
+  await updateStoryBible('horror', 1, 'Chapter 1', bookDir, bible);
+  
+  assert.deepStrictEqual(bible.chapters, []);
+  assert.strictEqual(await loadStoryBible(bookDir), null);
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  initProvider, validateContinuityIssues, findRepeatedPassages, formatContinuityReport, checkBookContinuity
+} = require('../main');
+
+// Forty distinct words, long enough to be compared as a passage
+const passage = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+
+let bookDir;
+
+beforeEach(async () => {
+  bookDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-check-'));
+  await fs.mkdir(path.join(bookDir, 'chapters'));
+});
+
+afterEach(async () => {
+  await fs.rm(bookDir, { recursive: true, force: true });
+});
+
+test('validateContinuityIssues checks types and paragraph references', () => {
+  assert.deepStrictEqual(validateContinuityIssues({ issues: [{ type: 'timeline', paragraph: 2, description: 'Too fast' }] }, 3), []);
+  assert.deepStrictEqual(validateContinuityIssues({ issues: [{ type: 'typo', paragraph: 9, description: '' }] }, 3), [
+    'issues[0]: "type" must be one of contradiction, missed-beat, repetition, timeline',
+    'issues[0]: "description" must be a non-empty string',
+    'issues[0]: "paragraph" must be a paragraph number from 1 to 3, or null'
+  ]);
+  assert.deepStrictEqual(validateContinuityIssues({ problems: [] }, 3), ['The response must be a JSON object with an "issues" array']);
+});
+
+test('findRepeatedPassages finds near-verbatim repeats but ignores short paragraphs', () => {
+  const repeats = findRepeatedPassages([
+    ['Mara said hello.', passage],
+    ['Something else entirely happens here.', 'Mara said hello.', `${passage} and then some`]
+  ]);
+  
+  assert.deepStrictEqual(repeats, [{ chapter: 2, paragraph: 3, repeatsChapter: 1, repeatsParagraph: 2, overlap: 1 }]);
+});
+
+test('formatContinuityReport lists issues with chapter and paragraph references', () => {
+  const report = formatContinuityReport('The Drowned Bell', [
+    { chapter: 1, title: 'Chapter 1: Arrival', paragraphs: ['Mara has green eyes.'], issues: [] },
+    {
+      chapter: 2,
+      title: 'Chapter 2: The Keeper',
+      paragraphs: ['Intro.', 'Mara blinked her blue eyes.'],
+      issues: [
+        { type: 'contradiction', paragraph: 2, description: 'Eye color changed', reference: 'Chapter 1, green eyes' },
+        { type: 'missed-beat', paragraph: null, description: 'The keeper never lies' }
+      ]
+    },
+    { chapter: 3, title: 'Chapter 3', paragraphs: [], issues: [], error: 'timeout' }
+  ]);
+  
+  assert.match(report, /^# Continuity Report: The Drowned Bell\n\n3 chapters checked, 2 issues found\./);
+  assert.match(report, /\| 2 \| 1 \| 1 \| 0 \| 0 \| 2 \|/);
+  assert.match(report, /\| 3 \| 0 \| 0 \| 0 \| 0 \| not checked \|/);
+  assert.match(report, /Chapters needing attention: 2\n/);
+  assert.match(report, /- \*\*Missed beat\*\* \(Chapter 2\): The keeper never lies\n- \*\*Contradiction\*\* \(Chapter 2, ¶2\): Eye color changed\n  - Conflicts with: Chapter 1, green eyes\n  > Mara blinked her blue eyes\./);
+  assert.match(report, /_Could not be checked: timeout_/);
+});
+
+test('checkBookContinuity checks every chapter and writes the report', async () => {
+  initProvider({ provider: 'mock', model: 'mock' });
+  await fs.writeFile(path.join(bookDir, 'chapters', 'chapter_1.txt'), `Chapter 1: Arrival\n\n${passage}`);
+  await fs.writeFile(path.join(bookDir, 'chapters', 'chapter_2.txt'), `Chapter 2: Again\n\nMara returns.\n\n${passage}`);
+  await fs.writeFile(path.join(bookDir, 'story_bible.json'), JSON.stringify({ warnings: [{ chapter: 2, message: 'Elias died earlier but appears as alive in Chapter 2' }] }));
+  
+  const results = await checkBookContinuity(bookDir, { title: 'Test', genre: 'horror', outline: 'Chapter 1: Arrival\nChapter 2: Again', characterProfiles: '' });
+  
+  assert.deepStrictEqual(results.map(result => result.title), ['Chapter 1: Arrival', 'Chapter 2: Again']);
+  // Drop the contradiction the mock model may invent, keeping the locally detected issues
+  const chapter2 = results[1].issues.filter(issue => issue.type !== 'contradiction' || issue.reference === 'Story bible');
+  assert.deepStrictEqual(chapter2.map(issue => [issue.type, issue.paragraph]), [['repetition', 2], ['contradiction', null]]);
+  assert.match(await fs.readFile(path.join(bookDir, 'continuity_report.md'), 'utf8'), /Elias died earlier/);
+});
+
+test('checkBookContinuity labels summaries by chapter number when chapter files are missing', async () => {
+  const fixturesDir = path.join(bookDir, 'fixtures');
+  initProvider({ provider: 'mock', model: 'mock' }, fixturesDir);
+  await fs.mkdir(path.join(bookDir, 'summaries'));
+  await fs.writeFile(path.join(bookDir, 'chapters', 'chapter_2.txt'), 'Chapter 2: The Lamp\n\nMara climbs the stairs.');
+  await fs.writeFile(path.join(bookDir, 'chapters', 'chapter_3.txt'), 'Chapter 3: The Storm\n\nThe storm breaks.');
+  await fs.writeFile(path.join(bookDir, 'summaries', 'chapter_2_summary.txt'), 'Mara found the lamp room locked.');
+  
+  await checkBookContinuity(bookDir, { title: 'Test', genre: 'horror', outline: '', characterProfiles: '' });
+  
+  const requests = await Promise.all((await fs.readdir(fixturesDir)).map(async file =>
+    JSON.stringify(JSON.parse(await fs.readFile(path.join(fixturesDir, file), 'utf8')).request.messages)));
+  const chapter3 = requests.find(request => request.includes('The storm breaks.'));
+  assert.match(chapter3, /CHAPTER 2 SUMMARY:\\nMara found the lamp room locked\./);
+  assert.doesNotMatch(chapter3, /CHAPTER 1 SUMMARY/);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { countTokens, truncateToTokens, extractOutlineSection, buildChapterContext, getContextBudget } = require('../main');
+
+const outline = [
+  'Title: The Drowned Bell',
+  '',
+  '**Chapter 1: Arrival**',
+  'Mara arrives at the harbor town and hears the bell.',
+  '',
+  '**Chapter 2: The Keeper**',
+  'Mara meets the lighthouse keeper, who lies about the bell.',
+  '',
+  '## Chapter Three: Low Tide',
+  'The tide reveals the drowned chapel.'
+].join('\n');
+
+test('countTokens uses a real tokenizer by default and supports the heuristic', () => {
+  assert.strictEqual(countTokens('hello world'), 2);
+  assert.strictEqual(countTokens('hello world', { tokenizer: 'heuristic' }), 3);
+  assert.throws(() => countTokens('x', { tokenizer: 'nope' }), /Unknown tokenizer "nope"/);
+});
+
+test('truncateToTokens keeps whole sentences within the budget', () => {
+  const text = 'The bell rang once. The bell rang twice. The bell rang a third time.';
+  const truncated = truncateToTokens(text, 12);
+  
+  assert.strictEqual(truncated, 'The bell rang once. The bell rang twice.');
+  assert.ok(countTokens(truncated) <= 12);
+  assert.strictEqual(truncateToTokens(text, 1000), text);
+});
+
+test('extractOutlineSection finds a chapter by number or number word', () => {
+  assert.strictEqual(extractOutlineSection(outline, 2), '**Chapter 2: The Keeper**\nMara meets the lighthouse keeper, who lies about the bell.');
+  assert.match(extractOutlineSection(outline, 3), /drowned chapel/);
+  assert.strictEqual(extractOutlineSection(outline, 4), '');
+  assert.strictEqual(extractOutlineSection('Chapter Twenty-One: Low Tide\nThe chapel.\nChapter Twenty-Two: Flood', 21), 'Chapter Twenty-One: Low Tide\nThe chapel.');
+});
+
+test('getContextBudget leaves room for the completion', () => {
+  assert.strictEqual(getContextBudget({ context_window: 128000, max_completion_tokens: 48000 }), 70000);
+  assert.strictEqual(getContextBudget({ context_window: 8000, max_completion_tokens: 48000 }), 0);
+});
+
+test('buildChapterContext includes everything that fits, in reading order', () => {
+  const { context, report } = buildChapterContext({
+    chapterNum: 2,
+    outline,
+    characterProfiles: 'Mara: a cartographer.',
+    summaries: ['Mara arrived in town.'],
+    budget: 10000
+  });
+  
+  assert.ok(report.every(entry => entry.status === 'included'));
+  const order = ['OUTLINE FOR THIS CHAPTER (2)', 'OUTLINE FOR CHAPTER 1', 'CHARACTER PROFILES', 'CHAPTER 1 SUMMARY']
+    .map(heading => context.indexOf(`${heading}:`));
+  assert.deepStrictEqual([...order].sort((a, b) => a - b), order);
+  assert.ok(!order.includes(-1));
+});
+
+test('buildChapterContext leaves out the plans of later chapters and falls back to the full outline without a section', () => {
+  const { context } = buildChapterContext({ chapterNum: 1, outline, characterProfiles: '', budget: 10000 });
+  
+  assert.ok(!context.includes('BOOK OUTLINE'));
+  assert.ok(!context.includes('drowned chapel'), 'Chapter 3 is neither this chapter nor a neighbour');
+  assert.match(context, /OUTLINE FOR CHAPTER 2:/);
+  
+  const fallback = buildChapterContext({ chapterNum: 7, outline, characterProfiles: '', budget: 10000 });
+  assert.match(fallback.context, /^BOOK OUTLINE:\nTitle: The Drowned Bell/);
+});
+
+test('buildChapterContext drops the least relevant material first and condenses old summaries', () => {
+  const longSummary = index => `Events of chapter ${index}. `.repeat(80);
+  const summaries = Array.from({ length: 6 }, (_, i) => longSummary(i + 1));
+  
+  const { context, report } = buildChapterContext({
+    chapterNum: 2,
+    outline,
+    characterProfiles: 'Mara: a cartographer.',
+    summaries,
+    budget: 1750
+  });
+  
+  const status = label => report.find(entry => entry.label.startsWith(label)).status;
+  assert.strictEqual(status('Outline for Chapter 2'), 'included');
+  assert.strictEqual(status('Summary of Chapter 6'), 'included');
+  assert.strictEqual(status('Character profiles'), 'included');
+  assert.strictEqual(status('Summary of Chapter 3 (condensed)'), 'included');
+  assert.strictEqual(status('Summary of Chapter 1 (condensed)'), 'dropped');
+  assert.ok(countTokens(context) <= 1750);
+});
+
+test('buildChapterContext keeps the chapter numbers of summaries after a missing chapter', () => {
+  const { context, report } = buildChapterContext({
+    chapterNum: 5,
+    outline,
+    characterProfiles: '',
+    summaries: ['Mara arrived in town.', 'Mara met the keeper.', '', 'The chapel surfaced.'],
+    budget: 10000
+  });
+  
+  assert.match(context, /CHAPTER 4 SUMMARY:\nThe chapel surfaced\./);
+  assert.ok(!context.includes('CHAPTER 3 SUMMARY'));
+  assert.ok(!report.some(entry => entry.label === 'Summary of Chapter 3'));
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { createBookEPUB } = require('../main');
+
+test('createBookEPUB writes a valid EPUB 3 package with a TOC from the chapter titles', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-epub-'));
+  const chapters = [
+    'Chapter 1: The Harbor\n\nMara arrived at dusk.\n\nThe "lamps" were lit & burning.',
+    '**Chapter 2: Low Tide**\n\nThe water withdrew.'
+  ];
+  
+  const epubPath = await createBookEPUB('The Drowned Bell', 'horror', chapters, outputDir);
+  const bytes = await fs.readFile(epubPath);
+  
+  // The mimetype must be the first, uncompressed entry
+  assert.strictEqual(bytes.toString('latin1', 30, 38), 'mimetype');
+  assert.strictEqual(bytes.toString('latin1', 38, 58), 'application/epub+zip');
+  
+  const zip = await JSZip.loadAsync(bytes);
+  const opf = await zip.file('OEBPS/content.opf').async('string');
+  assert.match(opf, /<dc:title>The Drowned Bell<\/dc:title>/);
+  assert.match(opf, /<dc:subject>horror<\/dc:subject>/);
+  assert.match(opf, /properties="nav"/);
+  assert.match(opf, /<dc:language>en<\/dc:language>/);
+  
+  const nav = await zip.file('OEBPS/nav.xhtml').async('string');
+  assert.match(nav, /<a href="chapter_1.xhtml">Chapter 1: The Harbor<\/a>/);
+  assert.match(nav, /<a href="chapter_2.xhtml">Chapter 2: Low Tide<\/a>/);
+  
+  const chapterOne = await zip.file('OEBPS/chapter_1.xhtml').async('string');
+  assert.match(chapterOne, /<p>Mara arrived at dusk.<\/p>\s*<p>The &quot;lamps&quot; were lit &amp; burning.<\/p>/);
+  
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+test('createBookEPUB declares the book language in the package and every chapter', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-epub-'));
+  
+  const epubPath = await createBookEPUB('O Sino Afogado', 'horror', ['Capítulo 1: O Porto\n\nMara chegou ao anoitecer.'], outputDir, { language: 'pt-BR' });
+  const zip = await JSZip.loadAsync(await fs.readFile(epubPath));
+  
+  const opf = await zip.file('OEBPS/content.opf').async('string');
+  assert.match(opf, /<dc:language>pt-BR<\/dc:language>/);
+  assert.match(opf, /<package [^>]*xml:lang="pt-BR"/);
+  const chapterOne = await zip.file('OEBPS/chapter_1.xhtml').async('string');
+  assert.match(chapterOne, /<html [^>]*xml:lang="pt-BR" lang="pt-BR"/);
+  
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
@@ -0,0 +1,136 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  initProvider, loadRevisions, readRevision, recordRevision, writeVersioned, rollbackFile, historyTarget, formatHistory,
+  diffLines, formatDiff
+} = require('../main');
+
+const file = path.join('chapters', 'chapter_1.txt');
+let bookDir;
+
+beforeEach(async () => {
+  bookDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-history-'));
+  await fs.mkdir(path.join(bookDir, 'chapters'));
+  initProvider({ provider: 'mock', model: 'mock' });
+});
+
+afterEach(async () => {
+  await fs.rm(bookDir, { recursive: true, force: true });
+});
+
+const steps = async () => (await loadRevisions(bookDir, file)).map(entry => `${entry.revision}:${entry.step}`);
+
+test('writeVersioned numbers every new version of a file with its step and model', async () => {
+  await writeVersioned(bookDir, file, 'Draft one.', 'chapters');
+  await writeVersioned(bookDir, file, 'Draft one, enhanced.', 'enhance');
+  const unchanged = await writeVersioned(bookDir, file, 'Draft one, enhanced.', 'enhance');
+  
+  assert.deepStrictEqual(await steps(), ['1:chapters', '2:enhance']);
+  assert.strictEqual(unchanged.revision, 2);
+  assert.strictEqual(await fs.readFile(path.join(bookDir, file), 'utf8'), 'Draft one, enhanced.');
+  assert.strictEqual(await readRevision(bookDir, file, 1), 'Draft one.');
+  
+  const [first] = await loadRevisions(bookDir, file);
+  assert.strictEqual(first.model, 'mock');
+  assert.strictEqual(first.words, 2);
+  assert.ok(!isNaN(Date.parse(first.createdAt)));
+  await assert.rejects(readRevision(bookDir, file, 5), /has no revision 5 - its revisions are 1 to 2/);
+});
+
+test('recordRevision keeps text the history has not seen before replacing it', async () => {
+  // A chapter from before history was kept
+  await fs.writeFile(path.join(bookDir, file), 'Written long ago.');
+  await writeVersioned(bookDir, file, 'Enhanced.', 'enhance');
+  
+  // Edited by hand, then replaced again
+  await fs.writeFile(path.join(bookDir, file), 'Edited by hand.');
+  await writeVersioned(bookDir, file, 'Revised.', 'revise', { notes: 'Tighten the pacing' });
+  
+  // Edited in the review, recorded as it is on disk
+  await fs.writeFile(path.join(bookDir, file), 'Edited in review.');
+  await recordRevision(bookDir, file, 'Edited in review.', 'edit');
+  
+  assert.deepStrictEqual(await steps(), ['1:existing', '2:enhance', '3:existing', '4:revise', '5:edit']);
+  assert.strictEqual(await readRevision(bookDir, file, 3), 'Edited by hand.');
+  assert.strictEqual((await loadRevisions(bookDir, file))[3].notes, 'Tighten the pacing');
+  assert.strictEqual((await loadRevisions(bookDir, file))[4].model, null);
+  
+  // Text passed as previous stands in for a file that was never written
+  const other = path.join('chapters', 'chapter_2.txt');
+  await writeVersioned(bookDir, other, 'Enhanced two.', 'enhance', { previous: 'Draft two.' });
+  assert.strictEqual(await readRevision(bookDir, other, 1), 'Draft two.');
+});
+
+test('a corrupt revisions.json is rebuilt from the saved revisions instead of stopping the write', async () => {
+  await writeVersioned(bookDir, file, 'First.', 'chapters');
+  await writeVersioned(bookDir, file, 'Second.', 'enhance');
+  await fs.writeFile(path.join(bookDir, 'history', 'chapters', 'chapter_1', 'revisions.json'), '[{"revision": 1,');
+  
+  const entry = await writeVersioned(bookDir, file, 'Third.', 'revise');
+  
+  assert.strictEqual(entry.revision, 3);
+  assert.deepStrictEqual(await steps(), ['1:unknown', '2:unknown', '3:revise']);
+  assert.strictEqual(await readRevision(bookDir, file, 1), 'First.');
+  assert.strictEqual((await loadRevisions(bookDir, file))[1].words, 1);
+});
+
+test('rollbackFile restores a revision as a new one', async () => {
+  await writeVersioned(bookDir, file, 'First.', 'chapters');
+  await writeVersioned(bookDir, file, 'Second.', 'enhance');
+  
+  const entry = await rollbackFile(bookDir, file, 1);
+  
+  assert.strictEqual(entry.revision, 3);
+  assert.strictEqual(entry.rolledBackTo, 1);
+  assert.strictEqual(await fs.readFile(path.join(bookDir, file), 'utf8'), 'First.');
+  assert.deepStrictEqual(await steps(), ['1:chapters', '2:enhance', '3:rollback']);
+});
+
+test('historyTarget maps chapters, summaries, the outline and the profiles to their files', () => {
+  assert.strictEqual(historyTarget('7'), path.join('chapters', 'chapter_7.txt'));
+  assert.strictEqual(historyTarget('summary:7'), path.join('summaries', 'chapter_7_summary.txt'));
+  assert.strictEqual(historyTarget('outline'), 'book_outline.txt');
+  assert.strictEqual(historyTarget('characters'), 'character_profiles.txt');
+  assert.throws(() => historyTarget('chapter7'), /Unknown history target "chapter7"/);
+});
+
+test('formatHistory lists every revision and marks the current one', () => {
+  const revisions = [
+    { revision: 1, step: 'chapters', model: 'llama-3.3-70b-versatile', createdAt: '2026-10-19T17:42:20.371Z', words: 2412 },
+    { revision: 2, step: 'revise', model: 'llama-3.3-70b-versatile', createdAt: '2026-10-19T18:02:00.000Z', words: 2301, notes: 'Mara must not\nlearn it' },
+    { revision: 3, step: 'rollback', model: null, createdAt: '2026-10-19T18:10:00.000Z', words: 2412, rolledBackTo: 1 }
+  ];
+  
+  const lines = formatHistory('chapters/chapter_3.txt', revisions, 3).split('\n');
+  assert.strictEqual(lines[0], 'History of chapters/chapter_3.txt:');
+  assert.strictEqual(lines[1], '  #1   2026-10-19 17:42  chapters    llama-3.3-70b-versatile   2,412 words');
+  assert.match(lines[2], /revise .* "Mara must not learn it"$/);
+  assert.match(lines[3], /rollback .* - .* back to #1 {2}\(current\)$/);
+  
+  assert.match(formatHistory('chapters/chapter_3.txt', revisions, null), /changes that are not in its history yet$/);
+});
+
+test('diffLines and formatDiff show the changed lines with their context', () => {
+  const before = ['Chapter 1', '', 'Mara learns the secret.', '', 'The bell rings.', 'One', 'Two', 'Three', 'Four', 'Five', 'The end.'].join('\n');
+  const after = ['Chapter 1', '', 'Mara almost learns the secret.', '', 'The bell rings.', 'One', 'Two', 'Three', 'Four', 'Five', 'The very end.', 'Epilogue.'].join('\n');
+  
+  assert.deepStrictEqual(diffLines('a\nb\nc', 'a\nc\nd').map(entry => `${entry.type}${entry.line}`), [' a', '-b', ' c', '+d']);
+  assert.strictEqual(formatDiff(diffLines(before, before), 'a', 'b'), '');
+  assert.strictEqual(formatDiff(diffLines(before, after), 'chapter_1.txt #1', 'chapter_1.txt #2', 1), [
+    '--- chapter_1.txt #1',
+    '+++ chapter_1.txt #2',
+    '@@ -2,3 +2,3 @@',
+    ' ',
+    '-Mara learns the secret.',
+    '+Mara almost learns the secret.',
+    ' ',
+    '@@ -10,2 +10,3 @@',
+    ' Five',
+    '-The end.',
+    '+The very end.',
+    '+Epilogue.'
+  ].join('\n'));
+});
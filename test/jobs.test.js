@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { runJobs, callGroq, initProvider } = require('../main');
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Jobs that record when they start and finish, and how many ran at once
+function trackedJobs(specs) {
+  const events = [];
+  let running = 0;
+  let peak = 0;
+  const jobs = specs.map(([id, deps = [], ms = 10]) => ({
+    id,
+    deps,
+    run: async () => {
+      events.push(`start ${id}`);
+      peak = Math.max(peak, ++running);
+      await tick(ms);
+      running--;
+      events.push(`end ${id}`);
+    }
+  }));
+  return { jobs, events, peak: () => peak };
+}
+
+test('runJobs runs jobs in list order after their dependencies with a concurrency of 1', async () => {
+  const { jobs, events, peak } = trackedJobs([['write:1'], ['summary:1', ['write:1']], ['enhance:1', ['write:1']], ['write:2', ['summary:1']]]);
+  await runJobs(jobs);
+  
+  assert.deepStrictEqual(events.filter(event => event.startsWith('start')),
+    ['start write:1', 'start summary:1', 'start enhance:1', 'start write:2']);
+  assert.strictEqual(peak(), 1);
+});
+
+test('runJobs overlaps independent jobs up to the concurrency limit', async () => {
+  const { jobs, events, peak } = trackedJobs([['write:1'], ['summary:1', ['write:1'], 30], ['enhance:1', ['write:1'], 30], ['check:1', ['write:1'], 30], ['write:2', ['summary:1']]]);
+  await runJobs(jobs, { concurrency: 2 });
+  
+  assert.strictEqual(peak(), 2);
+  assert.ok(events.indexOf('start write:2') > events.indexOf('end summary:1'));
+});
+
+test('runJobs stops starting jobs after a failure and waits for the running ones', async () => {
+  const { jobs, events } = trackedJobs([['enhance:1', [], 40], ['write:2'], ['write:3', ['write:2']]]);
+  jobs[1].run = async () => {
+    await tick(5);
+    throw new Error('write failed');
+  };
+  
+  await assert.rejects(runJobs(jobs, { concurrency: 2 }), /write failed/);
+  assert.deepStrictEqual(events, ['start enhance:1', 'end enhance:1']);
+});
+
+test('runJobs rejects unknown and circular dependencies', async () => {
+  await assert.rejects(runJobs([{ id: 'a', deps: ['missing'], run: async () => {} }]), /Job a depends on unknown job\(s\): missing/);
+  await assert.rejects(runJobs([
+    { id: 'a', deps: ['b'], run: async () => {} },
+    { id: 'b', deps: ['a'], run: async () => {} }
+  ]), /Jobs a, b depend on each other and can never start/);
+});
+
+test('concurrent jobs stream their responses to their own log files', async () => {
+  const logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-logs-'));
+  initProvider({ provider: 'mock', model: 'mock', tokenizer: 'heuristic' });
+  
+  const responses = {};
+  await runJobs(['summary:1', 'summary:2'].map(id => ({
+    id,
+    run: async () => {
+      responses[id] = await callGroq([{ role: 'user', content: `Summarize ${id}` }], { maxRetries: 1 });
+    }
+  })), { concurrency: 2, logDir });
+  
+  for (const id of ['summary:1', 'summary:2']) {
+    const log = await fs.readFile(path.join(logDir, `${id.replace(':', '_')}.log`), 'utf8');
+    assert.strictEqual(log.trim(), responses[id]);
+  }
+  await fs.rm(logDir, { recursive: true, force: true });
+});
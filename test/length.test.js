@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { initProvider, countWords, isResponseTruncated, joinContinuation, extendChapter, targetWordsFrom } = require('../main');
+
+const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ') + '.';
+
+// Make the provider answer every call with the next canned response, recording the prompts
+function scriptProvider(responses, finishReasons = []) {
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  const prompts = [];
+  provider.stream = async function* (messages, params, meta) {
+    const call = prompts.length;
+    prompts.push(messages[messages.length - 1].content);
+    meta.finishReason = finishReasons[call] || 'stop';
+    yield responses[Math.min(call, responses.length - 1)];
+  };
+  return prompts;
+}
+
+test('countWords and isResponseTruncated measure a response', () => {
+  assert.strictEqual(countWords('  The bell\nrang twice. '), 4);
+  assert.strictEqual(countWords(''), 0);
+  
+  assert.strictEqual(isResponseTruncated('The bell rang.'), false);
+  assert.strictEqual(isResponseTruncated('"Run," she said. "Now!"'), false);
+  assert.strictEqual(isResponseTruncated('* * *'), false);
+  assert.strictEqual(isResponseTruncated('The bell rang and the'), true);
+  assert.strictEqual(isResponseTruncated('The bell rang.', 'length'), true);
+});
+
+test('joinContinuation mends cut-off sentences and drops repeated headings', () => {
+  assert.strictEqual(joinContinuation('Mara walked to the', 'harbor.', true), 'Mara walked to the harbor.');
+  assert.strictEqual(joinContinuation('Mara walked to the harb', ', slowly.', true), 'Mara walked to the harb, slowly.');
+  assert.strictEqual(joinContinuation('The end of a scene.\n', 'Chapter 3: Arrival\n\nThe next scene.', false), 'The end of a scene.\n\nThe next scene.');
+});
+
+test('extendChapter continues a truncated response from where it stops', async () => {
+  const prompts = scriptProvider([`harbor and ${words(30)}`]);
+  const text = await extendChapter('horror', 1, 'Mara walked to the', { finishReason: 'length' });
+  
+  assert.strictEqual(prompts.length, 1);
+  assert.match(prompts[0], /THE CHAPTER SO FAR ENDS WITH:\n\s*Mara walked to the/);
+  assert.match(prompts[0], /cut off in the middle/);
+  assert.ok(text.startsWith('Mara walked to the harbor and word0'));
+});
+
+test('extendChapter keeps going until the target is reached', async () => {
+  const prompts = scriptProvider([words(100)]);
+  const text = await extendChapter('horror', 1, words(100), { targetWords: 300 });
+  
+  assert.strictEqual(prompts.length, 2);
+  assert.match(prompts[0], /Write about 200 more words/);
+  assert.strictEqual(countWords(text), 300);
+  assert.strictEqual(text.split('\n\n').length, 3);
+});
+
+test('extendChapter stops at the continuation cap or when nothing is added', async () => {
+  const prompts = scriptProvider([words(30)]);
+  const text = await extendChapter('horror', 1, words(30), { targetWords: 100000 });
+  assert.strictEqual(prompts.length, 6);
+  assert.strictEqual(countWords(text), 30 * 7);
+  
+  const emptyPrompts = scriptProvider(['The end.']);
+  assert.strictEqual(await extendChapter('horror', 1, words(30), { targetWords: 1000 }), words(30));
+  assert.strictEqual(emptyPrompts.length, 1);
+});
+
+test('targetWordsFrom validates the --target-words option', () => {
+  assert.strictEqual(targetWordsFrom({}), null);
+  assert.strictEqual(targetWordsFrom({ targetWords: '3000' }), 3000);
+  assert.throws(() => targetWordsFrom({ targetWords: 'lots' }), /Invalid --target-words value "lots"/);
+});
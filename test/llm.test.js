@@ -0,0 +1,277 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  callGroq, initProvider, fixtureKey, enhanceChapter, classifyError, retryAfterMs, retryWait, resumeMessages, openUsageLog,
+  stripReasoning, checkResponse, loadRevisions, readRevision
+} = require('../main');
+
+let fixturesDir;
+
+// Record a canned response for the given messages and point the replay provider at it
+async function replayResponse(messages, response) {
+  await fs.writeFile(path.join(fixturesDir, `${fixtureKey(messages)}.json`), JSON.stringify({ request: { messages }, response }));
+}
+
+beforeEach(async () => {
+  fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-fixtures-'));
+  initProvider({ provider: 'replay', model: 'replay', fixturesDir });
+});
+
+afterEach(async () => {
+  await openUsageLog(null);
+  await fs.rm(fixturesDir, { recursive: true, force: true });
+});
+
+// An API error like the ones the providers throw
+function apiError(status, message = 'API error', headers = {}) {
+  return Object.assign(new Error(message), { status, headers });
+}
+
+test('callGroq strips <think> blocks', async () => {
+  const messages = [{ role: 'user', content: 'Write a concept' }];
+  await replayResponse(messages, '<think>Let me consider the options...</think>\n\nA lighthouse keeper hears the sea speak.');
+  
+  assert.strictEqual(await callGroq(messages, { maxRetries: 1 }), 'A lighthouse keeper hears the sea speak.');
+});
+
+// A provider that answers each request with the next of the given responses
+function scriptedProvider(responses) {
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  const requests = [];
+  provider.stream = async function* (request) {
+    requests.push(request);
+    yield responses[requests.length - 1];
+  };
+  return requests;
+}
+
+const concept = 'A lighthouse keeper on a drowned coast hears the sea speak in the voice of her lost brother, and must decide whether to follow it down into the dark water.';
+
+test('callGroq asks again instead of guessing when reasoning leaks into the response', async () => {
+  const requests = scriptedProvider(['Okay, so I need to come up with a concept about the sea.\n\n**The Drowned Bell**', concept]);
+  
+  assert.strictEqual(await callGroq([{ role: 'user', content: 'Write a concept' }], { step: 'concept' }), concept);
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(requests[1][1].role, 'assistant');
+  assert.match(requests[1][2].content, /starts by reasoning about the task/);
+});
+
+test('callGroq asks again for a title that is not a single short line', async () => {
+  const requests = scriptedProvider(['Thinking about the themes here\nI will call it "The Drowned Bell"', 'The Drowned Bell']);
+  
+  assert.strictEqual(await callGroq([{ role: 'user', content: 'Return ONLY the title' }], { step: 'title' }), 'The Drowned Bell');
+  assert.match(requests[1][2].content, /must be a single line/);
+});
+
+test('callGroq gives up after the allowed corrections', async () => {
+  const requests = scriptedProvider(['<think>The user wants a concept', '<think>Still thinking', '<think>And more']);
+  
+  await assert.rejects(callGroq([{ role: 'user', content: 'Write a concept' }], { step: 'concept' }),
+    error => error.code === 'INVALID_RESPONSE' && /still has problems after 2 corrections/.test(error.message));
+  assert.strictEqual(requests.length, 3);
+});
+
+test('stripReasoning removes closed, implicitly opened and unclosed <think> blocks', () => {
+  assert.deepStrictEqual(stripReasoning('<think>plan</think>\n\nThe answer.'), { text: 'The answer.', unfinished: false });
+  assert.deepStrictEqual(stripReasoning('plan without an opening tag</think>The answer.'), { text: 'The answer.', unfinished: false });
+  assert.deepStrictEqual(stripReasoning('<think>plan that was cut off'), { text: '', unfinished: true });
+});
+
+test('checkResponse flags refusals, commentary and lengths but not narration', () => {
+  const problems = (text, step) => checkResponse(text, step).problems;
+  
+  assert.match(problems("I'm sorry, but I can't help with that request.")[0], /declines the request/);
+  assert.match(problems(`Sure! Here is the concept:\n\n${concept}`, 'concept')[0], /starts with an introduction/);
+  assert.match(problems(`${concept}\n\nLet me know if you would like any changes!`, 'concept')[0], /ends with commentary/);
+  assert.match(problems('Too short.', 'summaries')[0], /too short: 2 words, at least 20/);
+  assert.deepStrictEqual(problems('Okay, so I never meant to open the door. But the bell kept ringing, and Mara was already on the stairs.'), []);
+  assert.deepStrictEqual(problems('Here is the JSON:\n{"issues": []}', 'check'), []);
+});
+
+test('callGroq fails after exhausting retries when no fixture exists', async () => {
+  await assert.rejects(callGroq([{ role: 'user', content: 'unrecorded' }], { maxRetries: 1 }), /Failed after 1 attempts/);
+});
+
+test('classifyError separates auth, quota, rate limit, transient and request errors', () => {
+  assert.strictEqual(classifyError(apiError(401)), 'auth');
+  assert.strictEqual(classifyError(apiError(403)), 'auth');
+  assert.strictEqual(classifyError(apiError(402)), 'quota');
+  assert.strictEqual(classifyError(apiError(429, 'You exceeded your current quota: insufficient_quota')), 'quota');
+  assert.strictEqual(classifyError(apiError(429, 'Rate limit reached', { 'retry-after': '7200' })), 'quota');
+  assert.strictEqual(classifyError(apiError(429, 'Rate limit reached', { 'retry-after': '2' })), 'rate_limit');
+  assert.strictEqual(classifyError(apiError(503)), 'transient');
+  assert.strictEqual(classifyError(new Error('socket hang up')), 'transient');
+  assert.strictEqual(classifyError(apiError(400)), 'request');
+});
+
+test('retryAfterMs reads retry-after in milliseconds, seconds or as a date', () => {
+  assert.strictEqual(retryAfterMs(apiError(429, '', { 'retry-after-ms': '250' })), 250);
+  assert.strictEqual(retryAfterMs(apiError(429, '', { 'retry-after': '3' })), 3000);
+  assert.strictEqual(retryAfterMs(apiError(429, '', new Headers({ 'Retry-After': '1.5' }))), 1500);
+  const later = retryAfterMs(apiError(429, '', { 'retry-after': new Date(Date.now() + 60000).toUTCString() }));
+  assert.ok(later > 55000 && later <= 60000);
+  assert.strictEqual(retryAfterMs(apiError(503)), null);
+});
+
+test('retryWait backs off exponentially with jitter up to a cap', () => {
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const wait = retryWait(apiError(503), attempt, 1000);
+    const backoff = 1000 * 2 ** (attempt - 1);
+    assert.ok(wait >= backoff / 2 && wait <= backoff, `attempt ${attempt} waits ${wait}ms`);
+  }
+  assert.ok(retryWait(apiError(503), 20, 1000) <= 60000);
+  assert.strictEqual(retryWait(apiError(429, '', { 'retry-after-ms': '1234' }), 1, 1000), 1234);
+  assert.strictEqual(retryWait(apiError(503, '', { 'retry-after': '86400' }), 1, 1000), 300000);
+});
+
+test('callGroq fails fast on an authentication error', async () => {
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  let calls = 0;
+  provider.stream = async function* () {
+    calls++;
+    throw apiError(401, 'Invalid API Key');
+  };
+  
+  await assert.rejects(callGroq([{ role: 'user', content: 'Write a concept' }], { retryDelay: 1 }),
+    error => error.kind === 'auth' && /Failed after 1 attempts: Invalid API Key - check the API key/.test(error.message));
+  assert.strictEqual(calls, 1);
+});
+
+test('callGroq waits out the retry-after of a rate limit', async () => {
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  let calls = 0;
+  provider.stream = async function* () {
+    if (++calls === 1) {
+      throw apiError(429, 'Rate limit reached', { 'retry-after-ms': '200' });
+    }
+    yield 'A lighthouse keeper hears the sea speak.';
+  };
+  
+  const startedAt = Date.now();
+  assert.strictEqual(await callGroq([{ role: 'user', content: 'Write a concept' }], { retryDelay: 1 }), 'A lighthouse keeper hears the sea speak.');
+  assert.ok(Date.now() - startedAt >= 200);
+  assert.strictEqual(calls, 2);
+});
+
+test('callGroq continues a dropped stream instead of regenerating it', async () => {
+  const messages = [{ role: 'user', content: 'Write Chapter 1' }];
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  const requests = [];
+  provider.stream = async function* (request) {
+    requests.push(request);
+    if (requests.length === 1) {
+      yield 'Mara reached the harbor at dusk. The lamps were';
+      throw new Error('terminated');
+    }
+    yield 'already lit.';
+  };
+  
+  assert.strictEqual(await callGroq(messages, { retryDelay: 1 }), 'Mara reached the harbor at dusk. The lamps were already lit.');
+  assert.deepStrictEqual(requests[1], await resumeMessages(messages, 'Mara reached the harbor at dusk. The lamps were'));
+});
+
+test('an interrupted response is saved in the book and continued by a later run', async () => {
+  const messages = [{ role: 'user', content: 'Write Chapter 2' }];
+  const partialDir = path.join(fixturesDir, 'partial');
+  await openUsageLog(fixturesDir);
+  
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  provider.stream = async function* () {
+    yield 'The tide came in';
+    throw apiError(503, 'Service Unavailable');
+  };
+  await assert.rejects(callGroq(messages, { maxRetries: 1 }), /Failed after 1 attempts: Service Unavailable/);
+  assert.strictEqual(await fs.readFile(path.join(partialDir, `${fixtureKey(messages)}.txt`), 'utf8'), 'The tide came in');
+  
+  provider.stream = async function* (request) {
+    assert.strictEqual(request[1].content, 'The tide came in');
+    yield ' before dawn.';
+  };
+  assert.strictEqual(await callGroq(messages, { maxRetries: 1 }), 'The tide came in before dawn.');
+  assert.strictEqual(await fs.stat(partialDir).catch(() => null), null);
+});
+
+test('recording provider saves fixtures that replay identically', async () => {
+  const recordDir = path.join(fixturesDir, 'recorded');
+  const messages = [{ role: 'user', content: 'Summarize the chapter' }];
+  
+  initProvider({ provider: 'mock', model: 'mock' }, recordDir);
+  const recorded = await callGroq(messages, { maxRetries: 1 });
+  
+  initProvider({ provider: 'replay', model: 'replay', fixturesDir: recordDir });
+  assert.strictEqual(await callGroq(messages, { maxRetries: 1 }), recorded);
+});
+
+test('the mock provider answers by the step it is called for, whatever the prompt says', async () => {
+  initProvider({ provider: 'mock', model: 'mock' });
+  const messages = [{ role: 'user', content: 'A reworded prompt from a template override' }];
+  
+  assert.match(await callGroq(messages, { step: 'title', maxRetries: 1 }), /^The \w+ \w+$/);
+  assert.strictEqual(JSON.parse(await callGroq(messages, { step: 'structure', maxRetries: 1 })).chapters.length, 3);
+  assert.deepStrictEqual(Object.keys(JSON.parse(await callGroq(messages, { step: 'bible', maxRetries: 1 }))), ['characters', 'objects', 'events', 'rules']);
+});
+
+// enhanceChapter builds its prompt internally, so these tests use the mock provider,
+// whose enhancement grows the chapter, and a wrapper that shrinks it
+test('enhanceChapter keeps a grown chapter and records the original in its history and backups', async () => {
+  const bookDir = path.join(fixturesDir, 'book');
+  await fs.mkdir(path.join(bookDir, 'chapters'), { recursive: true });
+  initProvider({ provider: 'mock', model: 'mock' });
+  
+  const original = 'Chapter 1: Arrival\n\nMara reached the harbor at dusk.\n\nThe lamps were already lit.';
+  const result = await enhanceChapter('horror', 1, original, [], 'Outline', bookDir);
+  
+  assert.notStrictEqual(result, original);
+  assert.strictEqual(await fs.readFile(path.join(bookDir, 'chapters', 'chapter_1.txt'), 'utf8'), result);
+  
+  const file = path.join('chapters', 'chapter_1.txt');
+  assert.deepStrictEqual((await loadRevisions(bookDir, file)).map(entry => [entry.revision, entry.step, entry.model]),
+    [[1, 'existing', null], [2, 'enhance', 'mock']]);
+  assert.strictEqual(await readRevision(bookDir, file, 1), original);
+  assert.strictEqual(await readRevision(bookDir, file, 2), result);
+  
+  // The first original is also kept in backups/, and a second enhancement leaves it alone
+  const backupPath = path.join(bookDir, 'backups', 'chapter_1_original.txt');
+  assert.strictEqual(await fs.readFile(backupPath, 'utf8'), original);
+  await enhanceChapter('horror', 1, result, [], 'Outline', bookDir);
+  assert.strictEqual(await fs.readFile(backupPath, 'utf8'), original);
+});
+
+test('enhanceChapter shows the model the plans of the chapter and its neighbours only', async () => {
+  const bookDir = path.join(fixturesDir, 'book');
+  await fs.mkdir(path.join(bookDir, 'chapters'), { recursive: true });
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  const prompts = [];
+  const stream = provider.stream;
+  provider.stream = function (messages, params, meta) {
+    prompts.push(messages.map(message => message.content).join('\n'));
+    return stream(messages, params, meta);
+  };
+  const structuredOutline = {
+    title: 'The Drowned Bell',
+    chapters: Array.from({ length: 5 }, (_, i) => ({ number: i + 1, title: `Part ${i + 1}`, beats: [`Beat of chapter ${i + 1}`] }))
+  };
+  
+  const original = 'Chapter 3: Part 3\n\nMara reached the chapel at low tide.\n\nThe bell was silent.';
+  await enhanceChapter('horror', 3, original, [], 'Outline', bookDir, structuredOutline);
+  
+  assert.ok(['Chapter 2: Part 2', 'Chapter 3: Part 3', 'Beat of chapter 4'].every(text => prompts[0].includes(text)));
+  assert.ok(!prompts[0].includes('Beat of chapter 1') && !prompts[0].includes('Beat of chapter 5'));
+});
+
+test('enhanceChapter discards output below the 1.2x growth ratio', async () => {
+  const bookDir = path.join(fixturesDir, 'book');
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  provider.stream = async function* () {
+    yield 'Mara reached the harbor.';
+  };
+  
+  const original = 'Chapter 1: Arrival\n\nMara reached the harbor at dusk.\n\nThe lamps were already lit.';
+  const result = await enhanceChapter('horror', 1, original, [], 'Outline', bookDir);
+  
+  assert.strictEqual(result, original);
+  assert.strictEqual(await fs.stat(path.join(bookDir, 'chapters')).catch(() => null), null);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { parseInlineMarkup, parseMarkupBlocks, createBookPDF } = require('../main');
+
+test('parseInlineMarkup splits emphasis into styled runs', () => {
+  assert.deepStrictEqual(parseInlineMarkup('She said **no** and *meant it*, _twice_.'), [
+    { text: 'She said ', bold: false, italic: false },
+    { text: 'no', bold: true, italic: false },
+    { text: ' and ', bold: false, italic: false },
+    { text: 'meant it', bold: false, italic: true },
+    { text: ', ', bold: false, italic: false },
+    { text: 'twice', bold: false, italic: true },
+    { text: '.', bold: false, italic: false }
+  ]);
+});
+
+test('parseInlineMarkup handles nesting and leaves stray markers alone', () => {
+  assert.deepStrictEqual(parseInlineMarkup('***all*** of **bold *and italic* text**'), [
+    { text: 'all', bold: true, italic: true },
+    { text: ' of ', bold: false, italic: false },
+    { text: 'bold ', bold: true, italic: false },
+    { text: 'and italic', bold: true, italic: true },
+    { text: ' text', bold: true, italic: false }
+  ]);
+  assert.deepStrictEqual(parseInlineMarkup('2 * 3 = 6 in snake_case_names'), [
+    { text: '2 * 3 = 6 in snake_case_names', bold: false, italic: false }
+  ]);
+});
+
+test('parseMarkupBlocks finds scene breaks and headings and drops repeated chapter headings', () => {
+  const blocks = parseMarkupBlocks(['# Chapter 2: The Tide', 'First line\nsecond line', '---', '## The Morning After', '* * *', 'End.']);
+  assert.deepStrictEqual(blocks.map(block => block.type), ['paragraph', 'sceneBreak', 'heading', 'sceneBreak', 'paragraph']);
+  assert.strictEqual(blocks[0].runs[0].text, 'First line second line');
+  assert.strictEqual(blocks[2].runs[0].text, 'The Morning After');
+});
+
+test('createBookPDF typesets markdown without drawing the markers', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-pdf-'));
+  const chapter = '## Chapter 1: Arrival\n\nShe was **certain** it was *him*.\n\n***\n\n# Later\n\nThe end.';
+  
+  const pdfPath = await createBookPDF('Markup Test', 'mystery', [chapter], outputDir);
+  const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath));
+  assert.strictEqual(pdfDoc.getPageCount(), 2);
+  
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  initProvider, parseJsonResponse, normalizeOutline, validateOutline, outlineFromText,
+  structureOutline, getChapterPlan, buildChapterContext
+} = require('../main');
+
+const outline = [
+  'Title: The Drowned Bell',
+  '',
+  '**Chapter 1: Arrival**',
+  'Mara arrives at the harbor town and hears the bell.',
+  '',
+  '**Chapter 2: The Keeper**',
+  'Mara meets the lighthouse keeper, who lies about the bell.'
+].join('\n');
+
+const structured = {
+  title: 'The Drowned Bell',
+  setting: 'A fishing town on a cold northern coast',
+  chapters: [
+    { number: 1, title: 'Arrival', pov: 'Mara', setting: 'The harbor', beats: ['Mara arrives.', 'She hears the bell.'], openingHook: 'A ferry in fog.', closingHook: 'The bell rings at low tide.' },
+    { number: 2, title: 'The Keeper', pov: 'Mara', setting: 'The lighthouse', beats: ['Mara meets the keeper.', 'He lies.'], openingHook: 'The keeper is waiting.', closingHook: 'Mara finds his logbook.' }
+  ]
+};
+
+let bookDir;
+
+// Make the provider answer each call with the next canned response
+function scriptProvider(responses) {
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  let call = 0;
+  provider.stream = async function* () {
+    yield responses[Math.min(call++, responses.length - 1)];
+  };
+  return () => call;
+}
+
+beforeEach(async () => {
+  bookDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-outline-'));
+});
+
+afterEach(async () => {
+  await fs.rm(bookDir, { recursive: true, force: true });
+});
+
+test('parseJsonResponse tolerates code fences and surrounding text', () => {
+  assert.deepStrictEqual(parseJsonResponse('Here you go:\n```json\n{"a": 1}\n```\nEnjoy!'), { a: 1 });
+  assert.throws(() => parseJsonResponse('no json here'), /does not contain a JSON object/);
+});
+
+test('normalizeOutline fixes numbering and beats given as text', () => {
+  const normalized = normalizeOutline({
+    title: ' The Drowned Bell ',
+    setting: 'Coast',
+    chapters: [
+      { number: '2', title: 'The Keeper', pov: 'Mara', beats: '- Mara meets the keeper.\n- He lies.', openingHook: 'a', closingHook: 'b' },
+      { number: '1', title: 'Arrival', pov: 'Mara', beats: ['1. Mara arrives.'], openingHook: 'a', closingHook: 'b' }
+    ]
+  });
+  
+  assert.strictEqual(normalized.title, 'The Drowned Bell');
+  assert.deepStrictEqual(normalized.chapters.map(chapter => chapter.number), [1, 2]);
+  assert.deepStrictEqual(normalized.chapters[0].beats, ['Mara arrives.']);
+  assert.deepStrictEqual(normalized.chapters[1].beats, ['Mara meets the keeper.', 'He lies.']);
+  assert.deepStrictEqual(validateOutline(normalized), []);
+});
+
+test('validateOutline reports missing fields and chapter count mismatches', () => {
+  assert.deepStrictEqual(validateOutline(structured, 2), []);
+  
+  const broken = { ...structured, chapters: [{ ...structured.chapters[0], beats: [], pov: '' }] };
+  const errors = validateOutline(broken, 2);
+  assert.ok(errors.some(error => /exactly 2 chapters, found 1/.test(error)));
+  assert.ok(errors.includes('Chapter 1: "beats" must be a non-empty array of strings'));
+  assert.ok(errors.includes('Chapter 1: "pov" must be a non-empty string'));
+});
+
+test('outlineFromText builds a valid outline from the outline text', () => {
+  const fallback = outlineFromText(outline);
+  
+  assert.deepStrictEqual(validateOutline(fallback, 2), []);
+  assert.strictEqual(fallback.title, 'The Drowned Bell');
+  assert.strictEqual(fallback.chapters[1].title, 'The Keeper');
+  assert.deepStrictEqual(fallback.chapters[1].beats, ['Mara meets the lighthouse keeper, who lies about the bell.']);
+});
+
+test('structureOutline repairs an invalid response and saves outline.json', async () => {
+  const calls = scriptProvider(['{"title": "The Drowned Bell", "chapters": []', JSON.stringify(structured)]);
+  const result = await structureOutline('horror', outline, bookDir, 2);
+  
+  assert.strictEqual(calls(), 2);
+  assert.deepStrictEqual(result, normalizeOutline(structured));
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(path.join(bookDir, 'outline.json'), 'utf8')), result);
+});
+
+test('structureOutline falls back to the outline text when repairs fail', async () => {
+  const calls = scriptProvider(['not json at all']);
+  const result = await structureOutline('horror', outline, bookDir, 2, 1);
+  
+  assert.strictEqual(calls(), 2);
+  assert.strictEqual(result.chapters.length, 2);
+  assert.strictEqual(result.chapters[0].title, 'Arrival');
+});
+
+test('getChapterPlan returns the chapter and its neighbours', () => {
+  const plan = getChapterPlan(structured, 2);
+  
+  assert.strictEqual(plan.current.title, 'The Keeper');
+  assert.strictEqual(plan.previous.title, 'Arrival');
+  assert.strictEqual(plan.next, null);
+  assert.strictEqual(getChapterPlan(structured, 5), null);
+  assert.strictEqual(getChapterPlan(null, 1), null);
+});
+
+test('buildChapterContext uses the structured plan for the chapter', () => {
+  const { context } = buildChapterContext({ chapterNum: 1, outline, characterProfiles: '', budget: 5000, structuredOutline: structured });
+  
+  assert.match(context, /Point of view: Mara/);
+  assert.match(context, /1\. Mara arrives\.\n2\. She hears the bell\./);
+  assert.match(context, /SETTING:?\n+A fishing town/);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { extractChapterCount, extractTitle, findChapterFiles, parseArgs } = require('../main');
+
+test('extractChapterCount reads an explicit total', () => {
+  assert.strictEqual(extractChapterCount('The book is split into 12 chapters.'), 12);
+  assert.strictEqual(extractChapterCount('A story told in fifteen chapters'), 15);
+  assert.strictEqual(extractChapterCount('A story told in twenty-five chapters'), 25);
+});
+
+test('extractChapterCount counts distinct chapter headings', () => {
+  const outline = 'Chapter 1: Arrival\nChapter 2: The Storm\nChapter Three: Aftermath\nSee Chapter 2 for details.';
+  assert.strictEqual(extractChapterCount(outline), 3);
+  
+  const longOutline = Array.from({ length: 25 }, (_, i) => `Chapter ${i + 1}: Part ${i + 1}`).join('\n');
+  assert.strictEqual(extractChapterCount(longOutline), 25);
+  assert.strictEqual(extractChapterCount('Chapter Twenty-One: Low Tide\nChapter Seventeen: The Bell\nChapter 17 again'), 2);
+});
+
+test('extractChapterCount defaults to 10', () => {
+  assert.strictEqual(extractChapterCount('No structure here at all.'), 10);
+});
+
+test('extractTitle prefers a Title: line', () => {
+  assert.strictEqual(extractTitle('Intro\nTitle: The Drowned Bell\nMore'), 'The Drowned Bell');
+});
+
+test('extractTitle falls back to an all-caps line, then a default', () => {
+  assert.strictEqual(extractTitle('\nTHE DROWNED BELL\nA story'), 'THE DROWNED BELL');
+  assert.strictEqual(extractTitle('just some lowercase text'), 'Untitled Book');
+});
+
+test('findChapterFiles sorts numerically and skips enhanced copies', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-'));
+  for (const file of ['chapter_10.txt', 'chapter_2.txt', 'chapter_1.txt', 'chapter_1_enhanced.txt', 'notes.txt']) {
+    await fs.writeFile(path.join(dir, file), '');
+  }
+  
+  assert.deepStrictEqual(await findChapterFiles(dir), ['chapter_1.txt', 'chapter_2.txt', 'chapter_10.txt']);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('parseArgs separates option flags from positional arguments', () => {
+  const { args, options } = parseArgs(['horror', '--provider', 'mock', 'haunted lighthouse', '--model=tiny', '3']);
+  assert.deepStrictEqual(args, ['horror', 'haunted lighthouse', '3']);
+  assert.deepStrictEqual(options, { provider: 'mock', model: 'tiny' });
+});
+
+test('parseArgs reads the book spec and length options', () => {
+  assert.deepStrictEqual(parseArgs(['--config', 'book.yaml', '--target-words=3000']).options, { config: 'book.yaml', targetWords: '3000' });
+  assert.deepStrictEqual(parseArgs(['--budget', '2.50']).options, { budget: '2.50' });
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { createBookPDF, fitLinesOnPage, fitLinesOnFreshPage } = require('../main');
+
+const chapter = (num, paragraphCount) => [
+  `Chapter ${num}: Part ${num}`,
+  ...Array.from({ length: paragraphCount }, () => 'Mara walked along the harbor wall and counted the boats. '.repeat(6))
+].join('\n\n');
+
+async function renderBook(chapters, options, inspectOutput = async () => {}) {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-pdf-'));
+  try {
+    const pdfPath = await createBookPDF('Layout Test', 'mystery', chapters, outputDir, options);
+    await inspectOutput(outputDir);
+    return await PDFDocument.load(await fs.readFile(pdfPath));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+}
+
+// Collect the page index each bookmark points at
+function outlineTargets(pdfDoc) {
+  const pageRefs = pdfDoc.getPages().map(page => page.ref);
+  const outline = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  const targets = [];
+  
+  let item = outline.lookup(PDFName.of('First'));
+  while (item) {
+    const dest = item.lookup(PDFName.of('Dest'));
+    targets.push(pageRefs.indexOf(dest.get(0)));
+    item = item.lookup(PDFName.of('Next'));
+  }
+  return targets;
+}
+
+test('the simple layout keeps US Letter pages and adds chapter bookmarks', async () => {
+  const pdfDoc = await renderBook([chapter(1, 2), chapter(2, 2)]);
+  
+  assert.deepStrictEqual(pdfDoc.getPage(0).getSize(), { width: 612, height: 792 });
+  assert.deepStrictEqual(outlineTargets(pdfDoc), [1, 2]);
+});
+
+test('the book layout uses the trim size and opens every chapter on a recto page', async () => {
+  const pdfDoc = await renderBook([chapter(1, 9), chapter(2, 1), chapter(3, 4)], { layout: 'book', trimSize: '5x8' });
+  
+  assert.deepStrictEqual(pdfDoc.getPage(0).getSize(), { width: 360, height: 576 });
+  
+  // Title page, blank verso and the table of contents come first
+  const targets = outlineTargets(pdfDoc);
+  assert.strictEqual(targets.length, 3);
+  assert.ok(targets[0] >= 3);
+  for (const pageIndex of targets) {
+    assert.strictEqual(pageIndex % 2, 0, `chapter opening on page index ${pageIndex} is a verso`);
+  }
+});
+
+test('createBookPDF rejects unknown trim sizes', async () => {
+  await assert.rejects(renderBook([chapter(1, 1)], { trimSize: '7x7' }), /Unknown trim size "7x7"/);
+});
+
+test('characters the standard fonts cannot encode are substituted and reported', async () => {
+  const text = 'Chapter 1: \u014Csaka \u2192 Home\n\nShe whispered \u201C\u03BD\u03B1\u03B9\u201D \u2011 and left. \u00C6r\u00F8 stayed.';
+  let report;
+  const pdfDoc = await renderBook([text], {}, async outputDir => {
+    report = await fs.readFile(path.join(outputDir, 'pdf_substitutions.txt'), 'utf8');
+  });
+  
+  assert.strictEqual(pdfDoc.getPageCount(), 2);
+  assert.match(report, /U\+014C "\u014C" -> "O"/);
+  assert.match(report, /U\+2192 "\u2192" -> "->"/);
+  assert.match(report, /U\+03BD "\u03BD" -> "\?"/);
+  assert.match(report, /U\+2011 "\u2011" -> "-"/);
+  // WinAnsi covers curly quotes and Danish letters, so they are kept
+  assert.doesNotMatch(report, /\u201C|\u00C6|\u00F8/);
+});
+
+test('createBookPDF reports a missing font file clearly', async () => {
+  await assert.rejects(
+    renderBook([chapter(1, 1)], { fonts: { regular: '/nonexistent/font.ttf' } }),
+    /Could not read font file \/nonexistent\/font.ttf/
+  );
+});
+
+test('fitLinesOnPage keeps whole paragraphs that fit', () => {
+  assert.strictEqual(fitLinesOnPage(5, 10, true), 5);
+  assert.strictEqual(fitLinesOnPage(5, 5, true), 5);
+});
+
+test('fitLinesOnPage splits long paragraphs without orphans or widows', () => {
+  // Plain split
+  assert.strictEqual(fitLinesOnPage(10, 4, true), 4);
+  // A single first line at the page bottom moves the paragraph to the next page
+  assert.strictEqual(fitLinesOnPage(10, 1, true), 0);
+  // A single last line is not carried over: two lines go to the next page instead
+  assert.strictEqual(fitLinesOnPage(5, 4, true), 3);
+  // Three lines with room for two would leave either an orphan or a widow
+  assert.strictEqual(fitLinesOnPage(3, 2, true), 0);
+  // Continuations of a split paragraph may use a single line
+  assert.strictEqual(fitLinesOnPage(10, 1, false), 1);
+});
+
+test('fitLinesOnFreshPage keeps the widow rule for a paragraph longer than a page', () => {
+  // One line more than a page holds: two lines are carried over rather than one
+  assert.strictEqual(fitLinesOnFreshPage(41, 40), 39);
+  assert.strictEqual(fitLinesOnFreshPage(100, 40), 40);
+  assert.strictEqual(fitLinesOnFreshPage(5, 40), 5);
+  // A page too short for the rule still takes what it can
+  assert.strictEqual(fitLinesOnFreshPage(2, 1), 1);
+  
+  // Flow a paragraph of 81 lines from a full page with one line left, the way createBookPDF does
+  const pages = [];
+  let remaining = 81;
+  let count = fitLinesOnPage(remaining, 1, true);
+  while (remaining > 0) {
+    count = count || fitLinesOnFreshPage(remaining, 40);
+    pages.push(count);
+    remaining -= count;
+    count = remaining > 0 ? fitLinesOnPage(remaining, 0, false) : 0;
+  }
+  assert.deepStrictEqual(pages, [40, 39, 2]);
+});
+
+test('a paragraph taller than a page flows onto following pages', async () => {
+  const longParagraph = 'The tide kept rising over the harbor wall. '.repeat(400);
+  const pdfDoc = await renderBook([`Chapter 1: Flood\n\n${longParagraph}`], { paragraphs: 'indented', justify: true });
+  
+  // Title page plus the chapter spread over several pages
+  assert.ok(pdfDoc.getPageCount() >= 5, `expected the paragraph to span pages, got ${pdfDoc.getPageCount()} pages`);
+});
@@ -0,0 +1,193 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+const run = promisify(execFile);
+const mainScript = path.join(__dirname, '..', 'main.js');
+
+// Run main.js in a scratch directory so output/ does not touch the repository
+async function runMain(cwd, args) {
+  return run(process.execPath, [mainScript, ...args], { cwd, env: { ...process.env, GROQ_API_KEY: '' } });
+}
+
+async function readBook(cwd) {
+  const [bookName] = await fs.readdir(path.join(cwd, 'output'));
+  const bookDir = path.join(cwd, 'output', bookName);
+  return { bookName, bookDir, manifest: JSON.parse(await fs.readFile(path.join(bookDir, 'book.json'), 'utf8')) };
+}
+
+test('a chapter count below 1 is rejected before anything is generated', async () => {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-count-'));
+  for (const args of [['horror', '0'], ['horror', '-2'], ['horror', 'a haunted lighthouse', '0']]) {
+    await assert.rejects(runMain(cwd, [...args, '--provider', 'mock']), error => {
+      assert.strictEqual(error.code, 1);
+      assert.match(error.stderr, /Invalid chapter count: -?\d - use a number of chapters of at least 1/);
+      return true;
+    });
+  }
+  await assert.rejects(fs.readdir(path.join(cwd, 'output')), { code: 'ENOENT' });
+  
+  await fs.rm(cwd, { recursive: true, force: true });
+});
+
+test('a full mocked book run ends in a valid PDF and replays offline', async () => {
+  const recordDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-record-'));
+  const replayDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-replay-'));
+  const fixturesDir = path.join(recordDir, 'fixtures');
+  
+  await runMain(recordDir, ['horror', 'a haunted lighthouse', '2', '--target-words', '400', '--provider', 'mock', '--record', fixturesDir]);
+  const recorded = await readBook(recordDir);
+  
+  assert.strictEqual(recorded.manifest.steps.pdf.status, 'completed');
+  assert.strictEqual(recorded.manifest.steps.epub.status, 'completed');
+  assert.deepStrictEqual(Object.values(recorded.manifest.chapters).map(chapter => chapter.status), ['enhanced', 'enhanced']);
+  
+  for (const chapterNum of [1, 2]) {
+    const chapter = await fs.readFile(path.join(recorded.bookDir, 'chapters', `chapter_${chapterNum}.txt`), 'utf8');
+    assert.ok(chapter.split(/\s+/).length >= 400, `Chapter ${chapterNum} was extended to the target length`);
+  }
+  
+  const storyBible = JSON.parse(await fs.readFile(path.join(recorded.bookDir, 'story_bible.json'), 'utf8'));
+  assert.deepStrictEqual(storyBible.chapters, [1, 2]);
+  
+  const pdfFile = (await fs.readdir(recorded.bookDir)).find(file => file.endsWith('.pdf'));
+  const pdfDoc = await PDFDocument.load(await fs.readFile(path.join(recorded.bookDir, pdfFile)));
+  assert.ok(pdfDoc.getPageCount() >= 3, 'title page plus at least one page per chapter');
+  
+  // Replaying the recorded fixtures reproduces the same book without any provider
+  await runMain(replayDir, ['horror', 'a haunted lighthouse', '2', '--target-words', '400', '--replay', fixturesDir]);
+  const replayed = await readBook(replayDir);
+  
+  assert.strictEqual(replayed.bookName, recorded.bookName);
+  for (const chapterNum of [1, 2]) {
+    const chapterFile = path.join('chapters', `chapter_${chapterNum}.txt`);
+    assert.strictEqual(
+      await fs.readFile(path.join(replayed.bookDir, chapterFile), 'utf8'),
+      await fs.readFile(path.join(recorded.bookDir, chapterFile), 'utf8')
+    );
+  }
+  
+  await fs.rm(recordDir, { recursive: true, force: true });
+  await fs.rm(replayDir, { recursive: true, force: true });
+});
+
+test('a concurrent run writes the same book as a serial one, with a log per job', async () => {
+  const serialDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-serial-'));
+  const concurrentDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-concurrent-'));
+  const args = ['horror', 'a haunted lighthouse', '3', '--target-words', '300', '--provider', 'mock'];
+  
+  await runMain(serialDir, args);
+  await runMain(concurrentDir, [...args, '--concurrency', '3']);
+  const serial = await readBook(serialDir);
+  const concurrent = await readBook(concurrentDir);
+  
+  assert.strictEqual(concurrent.manifest.steps.chapters.status, 'completed');
+  assert.strictEqual(concurrent.manifest.steps.enhance.status, 'completed');
+  for (const file of ['chapter_1.txt', 'chapter_2.txt', 'chapter_3.txt']) {
+    assert.strictEqual(
+      await fs.readFile(path.join(concurrent.bookDir, 'chapters', file), 'utf8'),
+      await fs.readFile(path.join(serial.bookDir, 'chapters', file), 'utf8')
+    );
+  }
+  
+  const logs = await fs.readdir(path.join(concurrent.bookDir, 'logs'));
+  assert.ok(['write_1.log', 'summary_3.log', 'bible_2.log', 'enhance_3.log'].every(log => logs.includes(log)));
+  assert.strictEqual(await fs.stat(path.join(serial.bookDir, 'logs')).catch(() => null), null);
+  
+  await fs.rm(serialDir, { recursive: true, force: true });
+  await fs.rm(concurrentDir, { recursive: true, force: true });
+});
+
+test('--generate-chapters fills in the first missing chapter and leaves the written ones alone', async () => {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-generate-'));
+  await runMain(cwd, ['horror', 'a haunted lighthouse', '4', '--target-words', '300', '--provider', 'mock', '--no-enhance']);
+  const { bookName, bookDir } = await readBook(cwd);
+  
+  await fs.rm(path.join(bookDir, 'chapters', 'chapter_3.txt'));
+  await fs.rm(path.join(bookDir, 'summaries', 'chapter_3_summary.txt'));
+  const chapter4 = await fs.readFile(path.join(bookDir, 'chapters', 'chapter_4.txt'), 'utf8');
+  
+  const { stdout } = await runMain(cwd, ['--generate-chapters', bookName, '--provider', 'mock']);
+  
+  assert.match(stdout, /Generating chapters 3 to 4\.\.\./);
+  assert.ok(await fs.readFile(path.join(bookDir, 'chapters', 'chapter_3.txt'), 'utf8'));
+  assert.ok(await fs.readFile(path.join(bookDir, 'summaries', 'chapter_3_summary.txt'), 'utf8'));
+  assert.strictEqual(await fs.readFile(path.join(bookDir, 'chapters', 'chapter_4.txt'), 'utf8'), chapter4);
+  
+  await fs.rm(cwd, { recursive: true, force: true });
+});
+
+test('an enhancement that failed and is skipped on --resume completes the enhance step', async () => {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-enhance-'));
+  const fixturesDir = path.join(cwd, 'fixtures');
+  await runMain(cwd, ['horror', 'a haunted lighthouse', '1', '--target-words', '300', '--provider', 'mock', '--no-enhance', '--record', fixturesDir]);
+  const { bookName, bookDir, manifest } = await readBook(cwd);
+  
+  // Turn enhancement on; the replay has no fixture for its request, so it fails
+  manifest.enhance = true;
+  manifest.steps.enhance.status = 'pending';
+  await fs.writeFile(path.join(bookDir, 'book.json'), JSON.stringify(manifest, null, 2));
+  const { stderr } = await runMain(cwd, ['--resume', bookName, '--replay', fixturesDir]);
+  
+  const failed = (await readBook(cwd)).manifest;
+  assert.strictEqual(failed.steps.enhance.status, 'failed');
+  assert.ok(failed.chapters[1].enhanceError);
+  
+  // A too-short answer keeps the original chapter, which must not leave the step failed
+  const [, fixturePath] = stderr.match(/No recorded fixture for this request \((.+?)\)/);
+  await fs.writeFile(fixturePath, JSON.stringify({ request: { messages: [] }, response: 'Too short.', finishReason: 'stop' }));
+  await runMain(cwd, ['--resume', bookName, '--replay', fixturesDir]);
+  
+  const resumed = (await readBook(cwd)).manifest;
+  assert.strictEqual(resumed.chapters[1].enhancementSkipped, true);
+  assert.strictEqual(resumed.chapters[1].error, undefined);
+  assert.strictEqual(resumed.chapters[1].enhanceError, undefined);
+  assert.strictEqual(resumed.steps.enhance.status, 'completed');
+  
+  await fs.rm(cwd, { recursive: true, force: true });
+});
+
+test('an interactive run picks up the outline edited at its review in every later step', async () => {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-interactive-'));
+  const fixturesDir = path.join(cwd, 'fixtures');
+  const editor = path.join(cwd, 'editor.js');
+  await fs.writeFile(editor, "require('fs').appendFileSync(process.argv[2], '\\nThe lighthouse keeper is secretly Captain Orrin Vale.\\n');\n");
+  
+  // Accept the concept and title, edit the outline, then accept it and the characters
+  const child = execFile(process.execPath, [
+    mainScript, 'horror', 'a haunted lighthouse', '1', '--target-words', '300', '--provider', 'mock', '--no-enhance',
+    '--interactive', '--record', fixturesDir
+  ], { cwd, env: { ...process.env, GROQ_API_KEY: '', VISUAL: '', EDITOR: `"${process.execPath}" "${editor}"` } });
+  child.stdin.end('a\na\ne\na\na\n');
+  const exitCode = await new Promise(resolve => child.on('close', resolve));
+  assert.strictEqual(exitCode, 0);
+  
+  const book = await readBook(cwd);
+  assert.strictEqual(book.manifest.steps.outline.reviewed, true);
+  assert.strictEqual(book.manifest.steps.characters.reviewed, true);
+  
+  const fixtures = await Promise.all((await fs.readdir(fixturesDir)).map(async file => {
+    const fixture = JSON.parse(await fs.readFile(path.join(fixturesDir, file), 'utf8'));
+    return { request: fixture.request.messages.map(message => message.content).join('\n'), response: fixture.response };
+  }));
+  const requests = fixtures.map(fixture => fixture.request);
+  const withEdit = requests.filter(request => request.includes('Captain Orrin Vale'));
+  const laterPrompts = { structure: 'converts horror book outlines', characters: 'character development' };
+  for (const [step, marker] of Object.entries(laterPrompts)) {
+    assert.ok(withEdit.some(request => request.includes(marker)), `the edited outline reaches the ${step} prompt`);
+  }
+  
+  // Chapters see only their plan from the structured outline, which is built from the edited outline
+  const structure = fixtures.find(fixture => fixture.request.includes('converts horror book outlines') && fixture.request.includes('Captain Orrin Vale'));
+  const [editedPlan] = JSON.parse(structure.response).chapters;
+  const chapter1 = requests.find(request => request.includes('write Chapter 1 of a book'));
+  assert.ok(chapter1, 'Chapter 1 was written');
+  assert.ok(editedPlan.beats.every(beat => chapter1.includes(beat)), 'the Chapter 1 prompt has its plan from the edited outline');
+  
+  await fs.rm(cwd, { recursive: true, force: true });
+});
@@ -0,0 +1,145 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  initProvider, createManifest, getBookInfoFromDirectory, analyzeProse, validatePolishedPassages,
+  polishBookChapter, formatPolishReport, loadRevisions, readRevision
+} = require('../main');
+
+const flawed = [
+  'Chapter 1: The Bell',
+  'Mara crossed the harbor at dawn. The fog hung over the water and the gulls circled the masts of the fishing boats.',
+  'Her heart pounded in her chest as she reached the door. The air was thick with salt and old rope.',
+  '"Who is there?" she whispered softly. "Nobody you know," he replied quietly from the dark.',
+  'She quickly and quietly and carefully opened the door, slowly stepping inside the keeper\'s room.',
+  'Mara walks to the window. She looks out and sees the ship. It is late and she knows the bell is coming.',
+  'I remember the night my father left the harbor. I was only a child then.',
+  'Note: this chapter sets up the mystery of the bell.'
+].join('\n\n');
+
+const clean = [
+  'Chapter 2: The Archive',
+  'Mara climbed the stairs to the archive and set her lamp on the long table.',
+  'The ledgers were where the keeper had left them, stacked in the order of the tides.',
+  'She read until the candle burned low, then marked the page with a ribbon.'
+].join('\n\n');
+
+test('analyzeProse flags clichés, adverbs, adverb tags, tense and POV drift and meta-commentary by paragraph', () => {
+  const analysis = analyzeProse(flawed, { tense: 'past', pov: 'third' });
+  
+  assert.strictEqual(analysis.heading, 'Chapter 1: The Bell');
+  assert.strictEqual(analysis.paragraphs.length, 7);
+  assert.deepStrictEqual(analysis.issues.map(issue => [issue.type, issue.paragraph]), [
+    ['cliche', 2], ['dialogue-tags', 3], ['adverbs', 4], ['tense', 5], ['pov', 6], ['meta', 7]
+  ]);
+  assert.match(analysis.issues[0].description, /"heart pounded in her chest", "the air was thick with"/);
+  assert.match(analysis.issues[1].description, /"whispered softly", "replied quietly"/);
+  assert.ok(analysis.score < 100);
+});
+
+test('analyzeProse flags phrases repeated across a chapter after their first use', () => {
+  const text = [
+    'Mara felt the cold wind at her back as she left.',
+    'Later she felt the cold wind at the door.',
+    'At the pier she felt the cold wind again.'
+  ].join('\n\n');
+  
+  const repetition = analyzeProse(text).issues.filter(issue => issue.type === 'repetition');
+  assert.deepStrictEqual(repetition.map(issue => issue.paragraph), [2, 3]);
+  assert.match(repetition[0].description, /"felt the cold wind" \(3 times\)/);
+});
+
+test('analyzeProse infers the tense and point of view when the spec does not set them and scores clean prose 100', () => {
+  const analysis = analyzeProse(clean);
+  
+  assert.deepStrictEqual(analysis.issues, []);
+  assert.strictEqual(analysis.score, 100);
+  assert.strictEqual(analysis.stats.tense, 'past');
+  assert.strictEqual(analysis.stats.pov, 'third');
+});
+
+test('validatePolishedPassages accepts only the numbered passages with text', () => {
+  assert.deepStrictEqual(validatePolishedPassages({ passages: [{ paragraph: 2, text: 'New text.' }] }, [2, 4]), []);
+  assert.strictEqual(validatePolishedPassages({ rewrites: [] }, [2]).length, 1);
+  
+  const errors = validatePolishedPassages({ passages: [{ paragraph: 9, text: '' }] }, [2, 4]);
+  assert.strictEqual(errors.length, 2);
+  assert.match(errors[0], /one of the numbered passages 2, 4/);
+});
+
+let bookDir;
+let prompts;
+
+beforeEach(async () => {
+  bookDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-polish-'));
+  await fs.mkdir(path.join(bookDir, 'chapters'));
+  await fs.writeFile(path.join(bookDir, 'chapters', 'chapter_1.txt'), flawed);
+  await fs.writeFile(path.join(bookDir, 'chapters', 'chapter_2.txt'), clean);
+  
+  // Answer with the mock provider, recording every prompt
+  prompts = [];
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  const stream = provider.stream;
+  provider.stream = function (messages, params, meta) {
+    prompts.push(messages.map(message => message.content).join('\n'));
+    return stream(messages, params, meta);
+  };
+});
+
+afterEach(async () => {
+  await fs.rm(bookDir, { recursive: true, force: true });
+});
+
+test('polishBookChapter sends only the flagged passages to the model and saves the result as a revision', async () => {
+  const bookInfo = await getBookInfoFromDirectory(bookDir);
+  const manifest = createManifest({ title: 'The Bell', genre: 'horror' });
+  const file = path.join('chapters', 'chapter_1.txt');
+  
+  const result = await polishBookChapter(bookDir, bookInfo, manifest, 1);
+  
+  assert.strictEqual(prompts.length, 1);
+  assert.match(prompts[0], /\[2\] PROBLEMS: Stock phrases/);
+  assert.ok(!prompts[0].includes('Mara crossed the harbor'), 'unflagged passages are not sent');
+  assert.ok(!prompts[0].includes('Note: this chapter'), 'meta-commentary is removed without the model');
+  
+  const text = await fs.readFile(path.join(bookDir, file), 'utf8');
+  assert.ok(text.startsWith('Chapter 1: The Bell\n\nMara crossed the harbor at dawn.'));
+  assert.ok(!text.includes('heart pounded'));
+  assert.ok(!text.includes('Note: this chapter'));
+  assert.strictEqual(result.rewritten, 5);
+  assert.strictEqual(result.removed, 1);
+  assert.deepStrictEqual(result.after.issues.filter(issue => ['cliche', 'adverbs', 'meta'].includes(issue.type)), []);
+  
+  const [original, polished] = await loadRevisions(bookDir, file);
+  assert.strictEqual(original.step, 'existing');
+  assert.strictEqual(await readRevision(bookDir, file, 1), flawed);
+  assert.strictEqual(polished.step, 'polish');
+  assert.strictEqual(polished.passages, 5);
+  assert.deepStrictEqual(
+    { before: manifest.chapters[1].polish.before, after: manifest.chapters[1].polish.after, revision: manifest.chapters[1].polish.revision },
+    { before: result.before.score, after: result.after.score, revision: 2 }
+  );
+});
+
+test('polishBookChapter leaves clean chapters and report-only runs untouched', async () => {
+  const bookInfo = await getBookInfoFromDirectory(bookDir);
+  const manifest = createManifest({ title: 'The Bell', genre: 'horror' });
+  
+  const cleanResult = await polishBookChapter(bookDir, bookInfo, manifest, 2);
+  const reported = await polishBookChapter(bookDir, bookInfo, manifest, 1, { reportOnly: true });
+  
+  assert.strictEqual(prompts.length, 0);
+  assert.strictEqual(cleanResult.after, null);
+  assert.strictEqual(reported.after, null);
+  assert.ok(reported.before.issues.length > 0);
+  assert.strictEqual(await fs.readFile(path.join(bookDir, 'chapters', 'chapter_1.txt'), 'utf8'), flawed);
+  assert.deepStrictEqual(await loadRevisions(bookDir, path.join('chapters', 'chapter_1.txt')), []);
+  
+  const report = formatPolishReport('The Bell', [reported, cleanResult]);
+  assert.match(report, /^# Polish Report: The Bell/);
+  assert.match(report, /\| 2 \| 100 \| 0 \| 0 \| 0 \| 0 \| 0 \| 0 \| 0 \|/);
+  assert.match(report, /- \*\*Cliché\*\* \(¶2\): Stock phrases/);
+  assert.match(report, /## Chapter 2: The Archive\n\n.*\n\nNo issues found\./);
+});
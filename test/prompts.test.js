@@ -0,0 +1,76 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  setPromptBookDir, promptTemplatePaths, loadPromptTemplate, renderTemplate, renderPrompt, previewPromptVars
+} = require('../main');
+
+let bookDir;
+
+beforeEach(async () => {
+  bookDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-prompts-'));
+});
+
+afterEach(async () => {
+  await fs.rm(bookDir, { recursive: true, force: true });
+  setPromptBookDir(null);
+});
+
+test('renderTemplate splits role sections and fills in variables', () => {
+  const text = '<!-- system -->\nYou write {{genre}}.\n<!-- user -->\nWrite chapter {{ chapterNum }}.\n\n{{guidance}}\n\n\nGo.\n';
+  const messages = renderTemplate(text, { genre: 'horror', chapterNum: 3, guidance: '' });
+  
+  assert.deepStrictEqual(messages, [
+    { role: 'system', content: 'You write horror.' },
+    { role: 'user', content: 'Write chapter 3.\n\nGo.' }
+  ]);
+});
+
+test('renderTemplate rejects unknown variables, roles and templates without sections', () => {
+  assert.throws(() => renderTemplate('<!-- user -->\n{{missing}}', { genre: 'horror' }, 'x.md'),
+    /Unknown variable \{\{missing\}\} in prompt template x\.md\. Available: genre/);
+  assert.throws(() => renderTemplate('<!-- narrator -->\nHello', {}, 'x.md'), /Unknown role "narrator"/);
+  assert.throws(() => renderTemplate('Just some text', {}, 'x.md'), /has no <!-- system --> or <!-- user --> section/);
+});
+
+test('promptTemplatePaths looks in the book, then the genre, then the defaults', () => {
+  setPromptBookDir(bookDir);
+  const paths = promptTemplatePaths('write_chapter', 'Science Fiction');
+  
+  assert.strictEqual(paths.length, 3);
+  assert.strictEqual(paths[0], path.join(bookDir, 'prompts', 'write_chapter.md'));
+  assert.ok(paths[1].endsWith(path.join('prompts', 'science_fiction', 'write_chapter.md')));
+  assert.ok(paths[2].endsWith(path.join('prompts', 'write_chapter.md')));
+});
+
+test('a book prompts/ directory overrides the default template', async () => {
+  const defaults = await loadPromptTemplate('summarize_chapter', 'fantasy');
+  assert.ok(defaults.source.endsWith(path.join('prompts', 'summarize_chapter.md')));
+  
+  await fs.mkdir(path.join(bookDir, 'prompts'));
+  await fs.writeFile(path.join(bookDir, 'prompts', 'summarize_chapter.md'),
+    '<!-- system -->\nBook override for {{genre}}.\n<!-- user -->\n{{chapter}}\n');
+  setPromptBookDir(bookDir);
+  
+  const messages = await renderPrompt('summarize_chapter', { genre: 'fantasy', chapter: 'Once upon a time.' });
+  assert.deepStrictEqual(messages, [
+    { role: 'system', content: 'Book override for fantasy.' },
+    { role: 'user', content: 'Once upon a time.' }
+  ]);
+});
+
+test('every default template renders with the variables its call site provides', async () => {
+  const previews = previewPromptVars('horror');
+  const templates = (await fs.readdir(path.join(__dirname, '..', 'prompts')))
+    .filter(file => file.endsWith('.md'))
+    .map(file => file.replace(/\.md$/, ''));
+  assert.deepStrictEqual(Object.keys(previews).sort(), templates.sort());
+  
+  for (const [name, vars] of Object.entries(previews)) {
+    const { text, source } = await loadPromptTemplate(name, 'horror');
+    const messages = renderTemplate(text, vars, source);
+    assert.ok(messages.some(message => message.role === 'user'), `${name} has a user message`);
+  }
+});
@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { reviewCheckpoint, revisionMessages } = require('../main');
+
+let dir;
+let filePath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-review-'));
+  filePath = path.join(dir, 'book_outline.txt');
+  await fs.writeFile(filePath, 'First outline');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// An ask function that gives the answers in order, as the user would type them
+function answers(...lines) {
+  return async () => {
+    assert.ok(lines.length > 0, 'asked more questions than expected');
+    return lines.shift();
+  };
+}
+
+test('reviewCheckpoint regenerates with the feedback until the result is accepted', async () => {
+  const calls = [];
+  const regenerate = async (feedback, previous) => {
+    calls.push({ feedback, previous });
+    await fs.writeFile(filePath, 'Second outline');
+  };
+  
+  const text = await reviewCheckpoint('outline', filePath, regenerate, {
+    ask: answers('r', '   ', 'what?', 'R', 'make the antagonist sympathetic', 'a')
+  });
+  
+  assert.strictEqual(text, 'Second outline');
+  assert.deepStrictEqual(calls, [{ feedback: 'make the antagonist sympathetic', previous: 'First outline' }]);
+});
+
+test('reviewCheckpoint returns the file as edited and keeps it when regenerating fails', async () => {
+  const edit = file => require('fs').writeFileSync(file, 'Edited outline');
+  const regenerate = async () => {
+    throw new Error('model unavailable');
+  };
+  
+  const text = await reviewCheckpoint('outline', filePath, regenerate, { ask: answers('e', 'r', 'shorter', 'accept'), edit });
+  assert.strictEqual(text, 'Edited outline');
+});
+
+test('reviewCheckpoint stops on quit and on a budget error', async () => {
+  await assert.rejects(
+    reviewCheckpoint('outline', filePath, async () => {}, { ask: answers('q') }),
+    error => error.code === 'REVIEW_STOPPED' && /Stopped at the outline review/.test(error.message)
+  );
+  
+  const overBudget = async () => {
+    throw Object.assign(new Error('Budget reached'), { code: 'BUDGET_EXCEEDED' });
+  };
+  await assert.rejects(reviewCheckpoint('outline', filePath, overBudget, { ask: answers('r', 'longer') }), { code: 'BUDGET_EXCEEDED' });
+});
+
+test('revisionMessages asks to revise the previous response along the feedback', async () => {
+  const prompt = [{ role: 'user', content: 'Write an outline.' }];
+  assert.strictEqual(await revisionMessages(prompt, 'outline', null, 'horror'), prompt);
+  
+  const messages = await revisionMessages(prompt, 'characters', { previous: 'Old profiles', feedback: 'make the antagonist sympathetic' }, 'horror');
+  assert.deepStrictEqual(messages.slice(0, 2), [prompt[0], { role: 'assistant', content: 'Old profiles' }]);
+  assert.strictEqual(messages[2].role, 'user');
+  assert.match(messages[2].content, /make the antagonist sympathetic/);
+  assert.match(messages[2].content, /complete revised character profiles/);
+});
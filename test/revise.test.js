@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  initProvider, createManifest, getBookInfoFromDirectory, createStoryBible, applyStoryFacts, loadStoryBible,
+  reviseBookChapter, validateSummaryConflicts, loadRevisions, readRevision
+} = require('../main');
+
+const chapter = (num, place) => `Chapter ${num}: ${place}\n\n` +
+  Array.from({ length: 4 }, (_, i) => `Mara walked to ${place} for the ${i + 1}. time and listened to the bell.`).join('\n\n');
+
+let bookDir;
+let prompts;
+
+beforeEach(async () => {
+  bookDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-revise-'));
+  await fs.mkdir(path.join(bookDir, 'chapters'));
+  await fs.mkdir(path.join(bookDir, 'summaries'));
+  await fs.writeFile(path.join(bookDir, 'book_outline.txt'), 'Chapter 1: Arrival\n\nChapter 2: The secret\n\nChapter 3: The storm');
+  await fs.writeFile(path.join(bookDir, 'character_profiles.txt'), '## Mara Vell\nFull name: Mara Vell');
+  
+  const places = ['the harbor', 'the archive', 'the lighthouse'];
+  const bible = createStoryBible('## Mara Vell\nFull name: Mara Vell');
+  for (const [index, place] of places.entries()) {
+    await fs.writeFile(path.join(bookDir, 'chapters', `chapter_${index + 1}.txt`), chapter(index + 1, place));
+    await fs.writeFile(path.join(bookDir, 'summaries', `chapter_${index + 1}_summary.txt`), `Summary ${index + 1}: Mara goes to ${place}.`);
+    applyStoryFacts(bible, index + 1, { characters: [{ name: 'Mara', location: place }], objects: [], events: [`Mara reaches ${place}`], rules: [] });
+  }
+  await fs.writeFile(path.join(bookDir, 'story_bible.json'), JSON.stringify(bible));
+  
+  // Answer with the mock provider, recording every prompt
+  prompts = [];
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  const stream = provider.stream;
+  provider.stream = function (messages, params, meta) {
+    prompts.push(messages.map(message => message.content).join('\n'));
+    return stream(messages, params, meta);
+  };
+});
+
+afterEach(async () => {
+  await fs.rm(bookDir, { recursive: true, force: true });
+});
+
+test('reviseBookChapter rewrites the chapter against the notes and brings its summary and facts up to date', async () => {
+  const bookInfo = await getBookInfoFromDirectory(bookDir);
+  const manifest = createManifest({ title: 'The Bell', genre: 'horror' });
+  const original = await fs.readFile(path.join(bookDir, 'chapters', 'chapter_2.txt'), 'utf8');
+  
+  const { text, summary, conflicts } = await reviseBookChapter(bookDir, bookInfo, manifest, 2, 'Mara must not learn the secret yet', { checkLater: true });
+  
+  const revisePrompt = prompts.find(prompt => prompt.includes('EDITORIAL NOTES'));
+  assert.match(revisePrompt, /Mara must not learn the secret yet/);
+  assert.match(revisePrompt, /Summary 1: Mara goes to the harbor/);
+  assert.ok(revisePrompt.includes(original), 'the current chapter is in the prompt');
+  assert.ok(!revisePrompt.includes('Summary 3'), 'later chapters are not part of the context');
+  assert.ok(!revisePrompt.includes('STORY BIBLE'), 'facts recorded after the chapter are left out');
+  
+  assert.strictEqual(await fs.readFile(path.join(bookDir, 'chapters', 'chapter_2.txt'), 'utf8'), text);
+  assert.notStrictEqual(text, original);
+  assert.strictEqual(await fs.readFile(path.join(bookDir, 'summaries', 'chapter_2_summary.txt'), 'utf8'), summary);
+  
+  // The chapter as it was and its revision are both in the chapter's history
+  const [revision] = manifest.chapters[2].revisions;
+  assert.strictEqual(revision.notes, 'Mara must not learn the secret yet');
+  assert.strictEqual(revision.revision, 2);
+  assert.strictEqual(await fs.readFile(path.join(bookDir, revision.backup), 'utf8'), original);
+  assert.strictEqual(await readRevision(bookDir, path.join('chapters', 'chapter_2.txt'), 1), original);
+  const [, revised] = await loadRevisions(bookDir, path.join('chapters', 'chapter_2.txt'));
+  assert.strictEqual(revised.step, 'revise');
+  assert.strictEqual(revised.notes, 'Mara must not learn the secret yet');
+  
+  // The story bible gets the revised chapter's events, without losing where Chapter 3 left Mara
+  const bible = await loadStoryBible(bookDir);
+  assert.ok(!bible.timeline.some(entry => entry.event === 'Mara reaches the archive'));
+  assert.strictEqual(bible.characters['Mara Vell'].location, 'the lighthouse');
+  
+  // Only the later summaries are checked against the revision
+  const conflictPrompt = prompts.find(prompt => prompt.includes('Compare the revised summary'));
+  assert.match(conflictPrompt, /CHAPTER 3 SUMMARY:\nSummary 3/);
+  assert.ok(!conflictPrompt.includes('Summary 1'));
+  assert.ok(Array.isArray(conflicts) && conflicts.every(conflict => conflict.chapter === 3));
+});
+
+test('reviseBookChapter only checks later chapters when asked and when there are any', async () => {
+  const bookInfo = await getBookInfoFromDirectory(bookDir);
+  const manifest = createManifest({ title: 'The Bell', genre: 'horror' });
+  
+  assert.strictEqual((await reviseBookChapter(bookDir, bookInfo, manifest, 1, 'Tighten the pacing')).conflicts, null);
+  assert.deepStrictEqual((await reviseBookChapter(bookDir, bookInfo, manifest, 3, 'Make the storm worse', { checkLater: true })).conflicts, []);
+  assert.ok(!prompts.some(prompt => prompt.includes('Compare the revised summary')));
+  assert.strictEqual((await loadRevisions(bookDir, path.join('chapters', 'chapter_1.txt'))).length, 2);
+  assert.strictEqual((await loadRevisions(bookDir, path.join('chapters', 'chapter_3.txt'))).length, 2);
+});
+
+test('validateSummaryConflicts reports malformed conflicts', () => {
+  assert.deepStrictEqual(validateSummaryConflicts({ conflicts: [{ chapter: 4, description: 'Mara already knows' }] }, [4, 5]), []);
+  assert.deepStrictEqual(validateSummaryConflicts({ issues: [] }, [4]), ['The response must be a JSON object with a "conflicts" array']);
+  assert.deepStrictEqual(validateSummaryConflicts({ conflicts: [{ chapter: 2, description: ' ' }] }, [4, 5]), [
+    'conflicts[0]: "chapter" must be one of the later chapters 4, 5',
+    'conflicts[0]: "description" must be a non-empty string'
+  ]);
+});
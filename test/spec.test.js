@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  initProvider, callGroq, parseRange, validateBookSpec, resolveBookSpec, loadBookSpec,
+  initBookSpec, stepParams, specGuidance
+} = require('../main');
+
+let specDir;
+
+beforeEach(async () => {
+  specDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-spec-'));
+});
+
+afterEach(async () => {
+  await fs.rm(specDir, { recursive: true, force: true });
+  initBookSpec();
+});
+
+test('parseRange accepts numbers, "min-max" strings and objects', () => {
+  assert.deepStrictEqual(parseRange(12), { min: 12, max: 12 });
+  assert.deepStrictEqual(parseRange('10-15'), { min: 10, max: 15 });
+  assert.deepStrictEqual(parseRange({ min: 3, max: 4 }), { min: 3, max: 4 });
+  assert.strictEqual(parseRange('15-10'), null);
+  assert.strictEqual(parseRange('many'), null);
+});
+
+test('validateBookSpec reports unknown settings and bad values', () => {
+  assert.deepStrictEqual(validateBookSpec({ chapters: '8-10', wordsPerChapter: 3000, pov: 'first person', models: { chapters: { temperature: 0.9 } } }), []);
+  assert.deepStrictEqual(validateBookSpec({
+    lenght: 3,
+    tone: '',
+    wordsPerChapter: 50,
+    language: 'English',
+    enhance: { enabled: 'yes' },
+    models: { writing: {}, outline: { temperature: 3, seed: 1 } }
+  }), [
+    'Unknown setting "lenght". Known settings: genre, topic, pages, chapters, wordsPerChapter, pov, tense, audience, rating, tone, style, language, enhance, models, prices',
+    '"tone" must be a non-empty string',
+    '"wordsPerChapter" must be at least 100',
+    '"language" must be a language tag like "en" or "pt-BR"',
+    '"enhance.enabled" must be true or false',
+    'Unknown model step "writing". Known steps: default, concept, title, outline, structure, characters, chapters, summaries, bible, check, enhance, revise, polish',
+    'models.outline: "temperature" must be a number from 0 to 2',
+    'models.outline: unknown parameter "seed". Known parameters: model, temperature, top_p, max_completion_tokens'
+  ]);
+});
+
+test('resolveBookSpec fills in the defaults', () => {
+  const spec = resolveBookSpec({ chapters: 8, enhance: { growth: '120-150' } });
+  
+  assert.strictEqual(spec.pages, 300);
+  assert.deepStrictEqual(spec.chapters, { min: 8, max: 8 });
+  assert.deepStrictEqual(spec.enhance, { enabled: true, growth: { min: 120, max: 150 }, minGrowthRatio: 1.2 });
+  assert.deepStrictEqual(resolveBookSpec().chapters, { min: 10, max: 15 });
+});
+
+test('loadBookSpec reads YAML and JSON files and rejects invalid ones', async () => {
+  const yamlPath = path.join(specDir, 'novella.yaml');
+  await fs.writeFile(yamlPath, 'genre: fantasy\nchapters: 6-8\nwordsPerChapter: 2500\nmodels:\n  summaries:\n    temperature: 0.2\n');
+  assert.deepStrictEqual(await loadBookSpec(yamlPath), { genre: 'fantasy', chapters: '6-8', wordsPerChapter: 2500, models: { summaries: { temperature: 0.2 } } });
+  
+  const jsonPath = path.join(specDir, 'epic.json');
+  await fs.writeFile(jsonPath, JSON.stringify({ pages: 400 }));
+  assert.deepStrictEqual(await loadBookSpec(jsonPath), { pages: 400 });
+  
+  await fs.writeFile(jsonPath, JSON.stringify({ pages: -1 }));
+  await assert.rejects(loadBookSpec(jsonPath), /Invalid book spec .*epic\.json:\n {2}- "pages" must be a positive whole number/);
+  await assert.rejects(loadBookSpec(path.join(specDir, 'missing.yaml')), /Could not read book spec/);
+});
+
+test('initBookSpec applies the book lengths and stepParams merges the step over the default', () => {
+  const spec = initBookSpec(resolveBookSpec({ models: { default: { temperature: 0.7 }, summaries: { temperature: 0.2, max_completion_tokens: 2000 } } }), {
+    targetWords: 2000,
+    targetChapterCount: 6,
+    enhance: false
+  });
+  
+  assert.strictEqual(spec.wordsPerChapter, 2000);
+  assert.deepStrictEqual(spec.chapters, { min: 6, max: 6 });
+  assert.strictEqual(spec.enhance.enabled, false);
+  assert.deepStrictEqual(stepParams('summaries'), { temperature: 0.2, max_completion_tokens: 2000 });
+  assert.deepStrictEqual(stepParams('outline'), { temperature: 0.7 });
+});
+
+test('specGuidance lists the voice and audience requirements', () => {
+  assert.strictEqual(specGuidance(resolveBookSpec()), '');
+  
+  const guidance = specGuidance(resolveBookSpec({ pov: 'first person', tense: 'present', audience: 'young adult', rating: 'PG-13', style: 'Short chapters' }));
+  assert.match(guidance, /^BOOK REQUIREMENTS:\n- Point of view: first person\n- Tense: present\n- Audience: young adult \(content rating PG-13\)\n- Style notes: Short chapters$/);
+});
+
+test('callGroq passes the step parameters to the provider', async () => {
+  const provider = initProvider({ provider: 'mock', model: 'mock' });
+  const calls = [];
+  provider.stream = async function* (messages, params) {
+    calls.push(params);
+    yield 'The keeper climbs the stairs. '.repeat(12);
+  };
+  initBookSpec(resolveBookSpec({ models: { summaries: { model: 'small-model', temperature: 0.2 } } }));
+  
+  await callGroq([{ role: 'user', content: 'Summarize' }], { step: 'summaries' });
+  await callGroq([{ role: 'user', content: 'Outline' }], { step: 'outline' });
+  assert.deepStrictEqual(calls, [{ model: 'small-model', temperature: 0.2 }, {}]);
+});
@@ -0,0 +1,102 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  callGroq, initProvider, fixtureKey, initBookSpec, resolveBookSpec, validateBookSpec,
+  openUsageLog, loadUsage, usageCost, summarizeUsage, formatUsageReport
+} = require('../main');
+
+let bookDir;
+
+beforeEach(async () => {
+  bookDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-writer-usage-'));
+  initProvider({ provider: 'mock', model: 'mock', tokenizer: 'heuristic' });
+});
+
+afterEach(async () => {
+  await openUsageLog(null);
+  initBookSpec();
+  await fs.rm(bookDir, { recursive: true, force: true });
+});
+
+test('callGroq records an estimated usage entry for every call', async () => {
+  await openUsageLog(bookDir);
+  await callGroq([{ role: 'user', content: 'Summarize the chapter' }], { maxRetries: 1, step: 'summaries' });
+  
+  const [entry] = await loadUsage(bookDir);
+  assert.strictEqual(entry.step, 'summaries');
+  assert.strictEqual(entry.provider, 'mock');
+  assert.strictEqual(entry.model, 'mock');
+  assert.strictEqual(entry.estimated, true);
+  assert.strictEqual(entry.retries, 0);
+  assert.ok(entry.promptTokens > 0 && entry.completionTokens > 0);
+  assert.ok(entry.latencyMs >= 0);
+});
+
+test('reported usage replaces the estimate and calls before the book exists are kept', async () => {
+  const messages = [{ role: 'user', content: 'Return ONLY the title' }];
+  await fs.writeFile(path.join(bookDir, `${fixtureKey(messages)}.json`), JSON.stringify({
+    request: { messages },
+    response: 'The Drowned Bell',
+    usage: { prompt_tokens: 120, completion_tokens: 45 }
+  }));
+  initProvider({ provider: 'replay', model: 'replay', fixturesDir: bookDir });
+  
+  await openUsageLog(null);
+  await callGroq(messages, { maxRetries: 1, step: 'title' });
+  assert.deepStrictEqual(await loadUsage(bookDir), []);
+  
+  await openUsageLog(bookDir);
+  const [entry] = await loadUsage(bookDir);
+  assert.strictEqual(entry.promptTokens, 120);
+  assert.strictEqual(entry.completionTokens, 45);
+  assert.strictEqual(entry.estimated, false);
+});
+
+test('usageCost prices entries per million tokens, with spec prices taking precedence', () => {
+  const entry = { model: 'custom-model', promptTokens: 2000000, completionTokens: 1000000 };
+  const spec = resolveBookSpec({ prices: { 'custom-model': { input: 0.5, output: 2 } } });
+  
+  assert.strictEqual(usageCost(entry), null);
+  assert.strictEqual(usageCost(entry, { ...spec.prices }), 3);
+  assert.deepStrictEqual(validateBookSpec({ prices: { 'custom-model': { input: 'cheap' } } }),
+    ['prices.custom-model: must have "input" and "output" prices in USD per million tokens']);
+});
+
+test('summarizeUsage totals per step in pipeline order and lists unpriced models', () => {
+  const prices = { fast: { input: 1, output: 2 } };
+  const entries = [
+    { step: 'chapters', model: 'fast', promptTokens: 1000, completionTokens: 500, latencyMs: 2000, retries: 1 },
+    { step: 'concept', model: 'fast', promptTokens: 100, completionTokens: 50, latencyMs: 500, retries: 0, estimated: true },
+    { step: 'chapters', model: 'unknown', promptTokens: 1000, completionTokens: 500, latencyMs: 1000, retries: 0 }
+  ];
+  const summary = summarizeUsage(entries, prices);
+  
+  assert.deepStrictEqual(summary.steps.map(totals => [totals.step, totals.calls, totals.retries]), [['concept', 1, 0], ['chapters', 2, 1]]);
+  assert.strictEqual(summary.total.promptTokens, 2100);
+  assert.strictEqual(summary.total.latencyMs, 3500);
+  assert.strictEqual(summary.total.cost, (1100 * 1 + 550 * 2) / 1000000);
+  assert.deepStrictEqual(summary.unpriced, ['unknown']);
+  
+  const report = formatUsageReport(summary, 1);
+  assert.match(report, /^Total\s+3\s+1\s+2100\s+1050\s+3\.5s\s+\$0\.0022$/m);
+  assert.match(report, /Token counts of 1 of 3 calls are estimated/);
+  assert.match(report, /No price for unknown/);
+  assert.match(report, /Budget: \$1\.00, \$0\.9978 left/);
+});
+
+test('callGroq stops before a call that could exceed the budget', async () => {
+  initBookSpec(resolveBookSpec({ prices: { mock: { input: 10, output: 10 } }, models: { chapters: { max_completion_tokens: 1000 } } }));
+  await openUsageLog(bookDir, 0.05);
+  
+  // The first call may use all 1,000 completion tokens ($0.01); after it, the largest completion is expected
+  await callGroq([{ role: 'user', content: 'Write Chapter 1' }], { maxRetries: 1, step: 'chapters' });
+  await openUsageLog(bookDir, 0.0001);
+  await assert.rejects(
+    callGroq([{ role: 'user', content: 'Write Chapter 2' }], { maxRetries: 1, step: 'chapters' }),
+    error => error.code === 'BUDGET_EXCEEDED' && /Budget of \$0\.00 reached/.test(error.message) && /run --resume/.test(error.message)
+  );
+  assert.strictEqual((await loadUsage(bookDir)).length, 1);
+});